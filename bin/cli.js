@@ -1,7 +1,13 @@
 #!/usr/bin/env node
 
+import process from 'node:process';
 import { program } from 'commander';
-import lookup from '../index.js';
+import {
+  createResolver,
+  doctor,
+  ExternalModuleError,
+  LookupError
+} from '../index.js';
 import pkg from '../package.json' with { type: 'json' };
 
 const { name, description, version } = pkg;
@@ -10,16 +16,152 @@ program
   .name(name)
   .description(description)
   .version(version)
-  .argument('<path>', 'the partial/dependency path to resolve')
+  .argument('[path...]', 'the partial/dependency paths to resolve (read from stdin, one per line, when omitted)')
   .option('-c, --config <path>', 'location of a RequireJS config file for AMD')
   .option('-f, --filename <path>', 'file containing the dependency')
   .option('-d, --directory <path>', 'directory containing all files')
+  .option('--json', 'print the partial, resolved path and error of every dependency as JSON')
+  .addHelpText('after', [
+    '\nA dependency named doctor has to be given on stdin, since the first argument doctor runs the doctor command.',
+    '\nExit codes: 0 when every dependency resolves, 1 when any does not, 2 when the config cannot be loaded'
+  ].join('\n'))
+  .enablePositionalOptions()
   .showHelpAfterError()
-  .parse();
+  .action(resolveAction);
 
-const partial = program.args[0];
-const { filename, config } = program.opts();
+program
+  .command('doctor')
+  .description('check every paths, packages, map and bundles target of a RequireJS config against the filesystem')
+  .option('-c, --config <path>', 'location of a RequireJS config file for AMD')
+  .option('-d, --directory <path>', 'directory containing all files')
+  .option('--json', 'print the report as JSON')
+  .addHelpText('after', '\nExit codes: 0 when no errors are found, 1 when any are, 2 when the config cannot be loaded')
+  .action(doctorAction);
+
+await program.parseAsync();
+
+/**
+ * @param  {String[]} args - The partials given as arguments
+ * @param  {Object} options
+ */
+async function resolveAction(args, { filename, config, directory, json }) {
+  const partials = args.length > 0 ? args : await readStdin();
+
+  if (partials.length === 0) {
+    program.error('error: missing required argument \'path\'');
+  }
+
+  // Without a config or directory, every dependency is resolved from the directory of the requesting file
+  if (!filename && !config && !directory) {
+    program.error('error: resolving dependencies needs --filename, --config or --directory');
+  }
+
+  // Relative dependencies are resolved from the directory of the requesting file
+  const relative = partials.find(partial => /(?:^|!)\.{1,2}(?:\/|$)/.test(partial));
+
+  if (relative && !filename) {
+    program.error(`error: the relative dependency '${relative}' needs the requesting file (--filename)`);
+  }
+
+  // Strict mode gives the reason a dependency cannot be resolved
+  const resolver = loadOrExit(() => createResolver({
+    config,
+    directory,
+    strict: true,
+    ambiguous: 'first'
+  }));
+
+  const results = partials.map(partial => {
+    try {
+      return { partial, path: resolver.resolve(partial, filename), error: null };
+    } catch(error) {
+      if (error instanceof ExternalModuleError) {
+        return {
+          partial,
+          path: '',
+          url: error.url,
+          error: null
+        };
+      }
+
+      if (!(error instanceof LookupError)) throw error;
+
+      return { partial, path: '', error: { code: error.code, message: error.message } };
+    }
+  });
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const { path, url, error } of results) {
+      console.log(url || path);
+
+      if (error) console.error(error.message);
+    }
+  }
+
+  process.exitCode = results.some(({ error }) => error) ? 1 : 0;
+}
+
+/**
+ * @param  {Object} options
+ * @param  {Object} command - The doctor command
+ */
+function doctorAction({ config, directory, json }, command) {
+  if (!config && !directory) {
+    command.error('error: doctor needs --config or --directory');
+  }
+
+  const report = loadOrExit(() => doctor({ config, directory }));
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const { severity, message } of report.problems) {
+      console.log(`${severity.padEnd(7)} ${message}`);
+    }
+
+    const errors = report.problems.filter(({ severity }) => severity === 'error').length;
+    const warnings = report.problems.length - errors;
+
+    console.log(report.problems.length === 0 ?
+      'No problems found' :
+      `${report.problems.length} problems (${errors} errors, ${warnings} warnings)`);
+  }
+
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+/**
+ * Exits with code 2 when the config cannot be loaded
+ *
+ * @param  {Function} load
+ * @return {*} The return value of load
+ */
+function loadOrExit(load) {
+  try {
+    return load();
+  } catch(error) {
+    if (!(error instanceof LookupError)) throw error;
+
+    console.error(error.message);
+    process.exit(2);
+  }
+}
+
+/**
+ * @return {Promise<String[]>} The non-empty lines of stdin, or none when stdin is a terminal
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) return [];
+
+  let input = '';
+
+  process.stdin.setEncoding('utf8');
 
-const result = lookup({ config, filename, partial });
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
 
-console.log(result);
+  return input.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
@@ -1,157 +1,1658 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { debuglog } from 'node:util';
+import detective from 'detective-amd';
 import requirejs from 'requirejs';
 import { ConfigFile } from 'requirejs-config-file';
+import {
+  readdir,
+  readFile,
+  realpath,
+  runAsync,
+  runSync,
+  stat
+} from './lib/file-system.js';
+import {
+  AmbiguousMatchError,
+  CaseMismatchError,
+  ConfigPathMissingError,
+  ConfigUnreadableError,
+  ExternalModuleError,
+  FileSystemError,
+  LookupError,
+  ModuleNotFoundError
+} from './lib/errors.js';
+import { mergeConfigs, rebaseConfig } from './lib/config.js';
+import { createDirectoryIndex } from './lib/directory-index.js';
+import { discoverConfig, forgetDiscoveredConfigs } from './lib/discover-config.js';
+import { evaluateConfig } from './lib/evaluate-config.js';
+import { findCycles, findOrphans } from './lib/graph.js';
+import { builtinPlugins, splitLoader } from './lib/plugins.js';
+
+export {
+  AmbiguousMatchError,
+  CaseMismatchError,
+  ConfigPathMissingError,
+  ConfigUnreadableError,
+  ExternalModuleError,
+  FileSystemError,
+  LookupError,
+  ModuleNotFoundError
+} from './lib/errors.js';
+export { createDirectoryIndex } from './lib/directory-index.js';
+export { graphToDot } from './lib/graph.js';
 
 const debug = debuglog('module-lookup-amd');
 
-/**
- * Determines the real path of a potentially aliased dependency path
- * via the paths section of a require config
- *
- * @param  {Object} options
- * @param  {String} options.partial - The dependency name
- * @param  {String} options.filename - The file containing the dependency
- * @param  {String} [options.directory] - The directory to use for resolving absolute paths (when no config is used)
- * @param  {String|Object} [options.config] - Path to a RequireJS config file, or a pre-parsed config object
- * @param  {String} [options.configPath] - The location of the config file used to determine the module resolution directory
- * @param  {Object} [options.fileSystem] - An alternative filesystem / fs implementation to use for locating files.
- *
- * @return {String}
- */
-export default function lookup(options = {}) {
-  let { configPath } = options;
-  let config = options.config || {};
-  const { partial: depPath, filename } = options;
-  const fileSystem = options.fileSystem || fs;
+let contextCount = 0;
+
+// Dependencies that RequireJS provides itself, so they have no file
+const builtinModules = new Set(['require', 'exports', 'module']);
+
+// The directories that package managers install into, with the manifests naming the entry file of their packages
+const installDirectories = new Map([
+  ['node_modules', ['package.json']],
+  ['bower_components', ['bower.json', 'package.json']]
+]);
+
+// The manifest fields naming the entry file, in order of preference
+const manifestFields = {
+  'package.json': ['browser', 'main', 'module'],
+  'bower.json': ['main']
+};
+
+/**
+ * Determines the real path of a potentially aliased dependency path
+ * via the paths section of a require config
+ *
+ * @param  {Object} options
+ * @param  {String} options.partial - The dependency name
+ * @param  {String} options.filename - The file containing the dependency
+ * @param  {String} [options.directory] - The directory to use for resolving absolute paths (when no config is used)
+ * @param  {String|Object|Array} [options.config] - Path to a RequireJS config file or r.js build profile, a pre-parsed config object,
+ *                                               or an array of them to merge in order
+ * @param  {String} [options.configPath] - The location of the config file used to determine the module resolution directory
+ * @param  {Object} [options.fileSystem] - An alternative filesystem / fs implementation to use for locating files.
+ * @param  {Boolean} [options.detailed] - Return an object describing the resolution instead of the path
+ * @param  {Object} [options.plugins] - Loader plugin handlers keyed by plugin name
+ * @param  {String} [options.locale] - The locale of the bundles that i18n! dependencies point at
+ * @param  {String[]} [options.extensions] - Extensions to try in order of preference (defaults to ['.js'])
+ * @param  {String} [options.ambiguous] - What to do when several other files match: 'first' (default), 'warn' or 'error'
+ * @param  {Boolean} [options.strict] - Throw a LookupError instead of returning an empty string
+ * @param  {Boolean} [options.discoverConfig] - Without a config or configPath, look for the config of the filename in its directory and above
+ * @param  {Object} [options.mirrors] - Local directories to look for remote urls in, keyed by url prefix
+ * @param  {String} [options.bundleMode] - For modules listed in the bundles config: 'bundle' (default) resolves to the bundle file,
+ *                                      'source' to the module's own file
+ * @param  {Boolean} [options.shim] - Add the shim entry of the module, with its deps resolved, to the detailed result
+ * @param  {Object} [options.directoryIndex] - A directory index (see createDirectoryIndex) to share the directory listings of several lookups
+ * @param  {Boolean} [options.packageFallback] - Look for the modules that the config does not resolve in node_modules and bower_components
+ * @param  {String} [options.caseSensitive] - What to do when the file found is spelled with a different case on disk: 'warn' or 'error'
+ * @param  {Boolean} [options.realpath] - Return the canonical path of the file found, with every symlink followed
+ * @param  {Boolean} [options.preserveSymlinks] - Resolve relative dependencies from the location of the filename (default)
+ *                                             rather than from its real location
+ * @param  {Boolean|Object} [options.evaluateConfig] - Run config files in a sandbox to capture the config they set,
+ *                                                  optionally with the `timeout` of the evaluation in milliseconds
+ *
+ * @return {String|Object} The resolved path, or an object describing the resolution when detailed (see explain)
+ */
+export default function lookup(options = {}) {
+  const { partial, filename } = options;
+
+  return createResolver(options).resolve(partial, filename);
+}
+
+/**
+ * Explains how a dependency path resolves (or why it does not)
+ *
+ * Takes the same options as lookup and returns its detailed result:
+ * the plugin, and for every module id looked up, the resolution directory and how it was picked,
+ * the map, paths and baseUrl rules applied, the normalized id, and every candidate file checked with its outcome
+ *
+ * @param  {Object} options
+ * @return {Object}
+ */
+export function explain(options = {}) {
+  return lookup({ ...options, detailed: true });
+}
+
+/**
+ * Computes the AMD module ids that resolve to the given file (the opposite of lookup)
+ *
+ * @param  {Object} options
+ * @param  {String} options.filename - The file to compute the module ids of
+ * @param  {String|Object|Array} [options.config] - A config file, build profile or config object, or an array of them
+ * @param  {String} [options.configPath] - The location of the config file used to determine the module resolution directory
+ * @param  {String} [options.directory] - The directory to use for resolving absolute paths (when no config is used)
+ * @param  {Object} [options.fileSystem] - An alternative filesystem / fs implementation to use for locating files.
+ *
+ * @return {String[]}
+ */
+export function reverseLookup(options = {}) {
+  const fileSystem = options.fileSystem || fs;
+
+  return runSync(resolverSteps(options).reverse(options.filename), fileSystem);
+}
+
+/**
+ * Resolves every dependency declared in an AMD file: the dependency array of define() and require(),
+ * the require('x') calls of the CommonJS sugar form, and nested require([...]) calls
+ *
+ * Takes the same options as lookup, without the partial
+ *
+ * @param  {Object} options
+ * @param  {String} options.filename - The AMD file
+ * @return {Object[]} One `{ partial, path }` entry per dependency. When the dependency
+ *                    cannot be resolved, the path is empty and the entry has the `code` and `reason` of the LookupError,
+ *                    and the `url` when the dependency is served from a remote url.
+ *                    Dependencies provided by RequireJS (require, exports and module) are flagged as `builtin`.
+ *                    With the shim option, shimmed dependencies have their `shim` entry.
+ */
+export function resolveFileDependencies(options = {}) {
+  const fileSystem = options.fileSystem || fs;
+  const steps = dependencySteps(options);
+
+  return runSync(fileDependencies(steps, options.filename), fileSystem);
+}
+
+/**
+ * Builds the dependency graph of an AMD project, following every resolved dependency through the config
+ *
+ * Takes the same options as lookup, without the partial and filename
+ *
+ * @param  {Object} options
+ * @param  {String[]} [options.entries] - Files or module ids to start from
+ * @param  {String} [options.directory] - Every .js file in this directory is part of the graph
+ * @param  {Boolean} [options.shim] - Add edges from shimmed modules to the deps of their shim entry, flagged as `shim`
+ * @param  {Boolean} [options.realpath] - Identify the files by their real path, so that a file reached through symlinks is a single node
+ * @return {Object} The files (`nodes`), the resolved dependencies between them (`edges`),
+ *                  the `unresolved` dependencies, the dependencies served from remote urls (`externals`),
+ *                  the files that could not be parsed (`errors`),
+ *                  the `cycles` and the `orphans`
+ */
+export function buildGraph(options = {}) {
+  const fileSystem = options.fileSystem || fs;
+
+  return runSync(graphSteps(options), fileSystem);
+}
+
+/**
+ * Validates a RequireJS config against the filesystem: every paths, packages, map and bundles target
+ * has to exist, and no alias should hide or overlap another
+ *
+ * @param  {Object} options
+ * @param  {String|Object|Array} [options.config] - A config file, build profile or config object, or an array of them
+ * @param  {String} [options.configPath] - The location of the config file used to determine the module resolution directory
+ * @param  {String} [options.directory] - The directory to use for resolving absolute paths (when no config is used)
+ * @param  {Object} [options.fileSystem] - An alternative filesystem / fs implementation to use for locating files.
+ *
+ * @return {{ok: Boolean, problems: Object[]}} Every problem has a `severity` (error or warning),
+ *                                             a `kind` (missing, shadowed or overlap), the `section` and `id`
+ *                                             of the config entry, and a `message`. The config is ok without errors.
+ */
+export function doctor(options = {}) {
+  const fileSystem = options.fileSystem || fs;
+  // Strict mode reports a config that cannot be loaded instead of checking an empty one
+  const steps = resolverSteps({ ...options, strict: true, ambiguous: 'first' });
+  const problems = runSync(steps.diagnose(), fileSystem);
+
+  return {
+    ok: problems.every(({ severity }) => severity !== 'error'),
+    problems
+  };
+}
+
+/**
+ * @param  {Object} options - The options given to resolveFileDependencies or buildGraph
+ * @return {Object} Resolution steps that throw the reason a dependency could not be resolved
+ */
+function dependencySteps(options) {
+  return resolverSteps({
+    ...options,
+    // The shim entries are part of the detailed result
+    detailed: Boolean(options.shim),
+    strict: true,
+    ambiguous: options.ambiguous ?? (options.strict ? 'error' : 'first')
+  });
+}
+
+/**
+ * @param  {Object} steps - The steps of dependencySteps
+ * @param  {String} filename - The AMD file
+ * @return {Generator} Returns the resolved dependencies
+ */
+function * fileDependencies(steps, filename) {
+  yield * steps.load(filename);
+
+  const partials = detective(yield * readFile(filename));
+  const dependencies = [];
+
+  debug(`dependencies of ${filename}: ${partials.join(', ')}`);
+
+  for (const partial of partials) {
+    if (builtinModules.has(partial)) {
+      dependencies.push({ partial, path: '', builtin: true });
+      continue;
+    }
+
+    try {
+      const resolution = yield * steps.resolve(partial, filename);
+      const { path: dependencyPath, shim } = detailedResult(resolution);
+
+      dependencies.push({ partial, path: dependencyPath, ...shim && { shim } });
+    } catch(error) {
+      if (!(error instanceof LookupError)) throw error;
+
+      dependencies.push({
+        partial,
+        path: '',
+        code: error.code,
+        reason: error.message,
+        ...error.url && { url: error.url }
+      });
+    }
+  }
+
+  return dependencies;
+}
+
+/**
+ * @param  {String|Object} resolution - What the steps of dependencySteps resolve to: the path, or the detailed result
+ *                                      when the shim entries are needed
+ * @return {Object} The detailed result, or an object with the path alone
+ */
+function detailedResult(resolution) {
+  return typeof resolution === 'string' ? { path: resolution } : resolution;
+}
+
+/**
+ * @param  {Object} options - The options given to buildGraph
+ * @return {Generator} Returns the graph
+ */
+function * graphSteps(options) {
+  const { directory, entries: entryIds = [] } = options;
+
+  if (entryIds.length === 0 && !directory) {
+    throw new TypeError('buildGraph needs entries or a directory');
+  }
+
+  // Dependencies are resolved from the path a file was reached through, so that preserveSymlinks applies.
+  // With realpath, the file is then identified by its real path.
+  const steps = dependencySteps({ ...options, realpath: false });
+  const entries = [];
+  const files = new Set();
+  const edges = [];
+  const unresolved = [];
+  const externals = [];
+  const errors = [];
+  const shimmed = new Set();
+
+  function * node(file) {
+    return path.resolve(options.realpath ? yield * steps.realpath(file) : file);
+  }
+
+  // The deps of a shim entry are implicit dependencies of the shimmed file
+  function * addShimDependencies(file, { deps }) {
+    if (shimmed.has(file)) return;
+
+    shimmed.add(file);
+
+    for (const { id, path: dependencyPath, url } of deps) {
+      if (url) {
+        externals.push({
+          from: file,
+          partial: id,
+          url,
+          shim: true
+        });
+      } else if (dependencyPath) {
+        edges.push({
+          from: file,
+          to: yield * node(dependencyPath),
+          partial: id,
+          shim: true
+        });
+        queue.push(path.resolve(dependencyPath));
+      } else {
+        unresolved.push({
+          from: file,
+          partial: id,
+          code: 'MODULE_NOT_FOUND',
+          reason: `Cannot find the shim dependency '${id}' of ${file}`,
+          shim: true
+        });
+      }
+    }
+  }
+
+  // An entry is a file, or a module id resolved through the config, which needs no requesting file unless it is relative
+  function * resolveEntry(entry) {
+    if (yield * fileExists(path.resolve(entry))) return { path: entry };
+
+    try {
+      return detailedResult(yield * steps.resolve(entry, ''));
+    } catch(error) {
+      if (!(error instanceof ModuleNotFoundError)) throw error;
+
+      throw new ModuleNotFoundError(`Cannot find the entry '${entry}' of the graph`, {
+        partial: entry,
+        candidates: error.candidates,
+        cause: error
+      });
+    }
+  }
+
+  const queue = [];
+
+  for (const entry of entryIds) {
+    const { path: file, shim } = yield * resolveEntry(entry);
+
+    queue.push(path.resolve(file));
+    entries.push(yield * node(file));
+
+    if (shim) yield * addShimDependencies(entries.at(-1), shim);
+  }
+
+  queue.push(...directory ? yield * listModuleFiles(directory, steps.realpath) : []);
+
+  while (queue.length > 0) {
+    const reached = queue.shift();
+    const file = yield * node(reached);
+
+    if (files.has(file)) continue;
+
+    files.add(file);
+
+    // Files loaded through a plugin (templates, stylesheets...) have no dependencies to follow
+    if (path.extname(file) !== '.js') continue;
+
+    let dependencies;
+
+    try {
+      dependencies = yield * fileDependencies(steps, reached);
+    } catch(error) {
+      if (!(error instanceof SyntaxError)) throw error;
+
+      debug(`could not parse ${file}: ${error.message}`);
+      errors.push({ file, reason: error.message });
+      continue;
+    }
+
+    for (const { partial, path: dependencyPath, builtin, code, reason, url, shim } of dependencies) {
+      if (builtin) continue;
+
+      const plugin = splitLoader(partial).plugin || undefined;
+
+      if (url) {
+        externals.push({
+          from: file,
+          partial,
+          plugin,
+          url
+        });
+        continue;
+      }
+
+      if (!dependencyPath) {
+        unresolved.push({
+          from: file,
+          partial,
+          plugin,
+          code,
+          reason
+        });
+        continue;
+      }
+
+      const to = yield * node(dependencyPath);
+
+      edges.push({
+        from: file,
+        to,
+        partial,
+        plugin
+      });
+      queue.push(path.resolve(dependencyPath));
+
+      if (shim) yield * addShimDependencies(to, shim);
+    }
+  }
+
+  const nodes = [...files].toSorted();
+
+  return {
+    nodes,
+    edges,
+    unresolved,
+    externals,
+    errors,
+    cycles: findCycles(nodes, edges),
+    orphans: findOrphans(nodes, edges, entries)
+  };
+}
+
+/**
+ * Lists the .js files in a directory and its subdirectories, skipping node_modules and hidden directories
+ *
+ * Every directory is listed once, by its real path: a directory reached through several symlinks
+ * is listed through the first, and links to a parent directory do not loop.
+ *
+ * @param  {String} dir
+ * @param  {Function} realDirectory - Returns a generator returning the real path of a directory
+ * @param  {Set} [visited] - The real paths of the directories already listed
+ * @return {Generator} Returns the absolute paths of the files
+ */
+function * listModuleFiles(dir, realDirectory, visited = new Set()) {
+  const real = path.resolve(yield * realDirectory(dir));
+  const files = [];
+
+  if (visited.has(real)) return files;
+
+  visited.add(real);
+
+  for (const entry of (yield * readdir(dir)).toSorted()) {
+    const entryPath = path.resolve(dir, entry);
+
+    if ((yield * stat(entryPath)).isDirectory()) {
+      if (entry !== 'node_modules' && entry[0] !== '.') {
+        files.push(...yield * listModuleFiles(entryPath, realDirectory, visited));
+      }
+    } else if (path.extname(entry) === '.js') {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Asynchronous version of lookup that never blocks on the filesystem
+ *
+ * Takes the same options as lookup, except that the fileSystem has to be
+ * fs.promises-compatible (or expose one as `promises`)
+ *
+ * @param  {Object} options
+ * @return {Promise<String|Object>}
+ */
+export async function lookupAsync(options = {}) {
+  const { partial, filename } = options;
+  const fileSystem = options.fileSystem || fs.promises;
+
+  return runAsync(resolverSteps(options).resolve(partial, filename), fileSystem);
+}
+
+/**
+ * Creates a resolver that parses the config once and keeps the normalized
+ * module paths and directory listings in memory across lookups
+ *
+ * @param  {Object} options
+ * @param  {String} [options.directory] - The directory to use for resolving absolute paths (when no config is used)
+ * @param  {String|Object|Array} [options.config] - A config file, build profile or config object, or an array of them
+ * @param  {String} [options.configPath] - The location of the config file used to determine the module resolution directory
+ * @param  {Object} [options.fileSystem] - An alternative filesystem / fs implementation to use for locating files.
+ * @param  {Boolean} [options.detailed] - Resolve to an object describing the resolution instead of the path
+ * @param  {Boolean} [options.discoverConfig] - Without a config or configPath, look for the config of each filename in its directory and above
+ * @param  {Object} [options.directoryIndex] - A directory index (see createDirectoryIndex) to share with other resolvers and lookups
+ *
+ * @return {{resolve: Function, invalidate: Function, clear: Function}}
+ */
+export function createResolver(options = {}) {
+  const fileSystem = options.fileSystem || fs;
+  const steps = resolverSteps(options);
+
+  runSync(steps.load(), fileSystem);
+
+  return {
+    /**
+     * @param  {String} partial - The dependency name
+     * @param  {String} filename - The file containing the dependency
+     * @return {String|Object}
+     */
+    resolve(partial, filename) {
+      return runSync(steps.resolve(partial, filename), fileSystem);
+    },
+
+    /**
+     * Drops whatever is cached for the given path: the parsed config when it is
+     * the config file, otherwise the listing of the directory (or of the directory containing the file)
+     *
+     * @param  {String} filepath
+     */
+    invalidate(filepath) {
+      steps.invalidate(filepath);
+      runSync(steps.load(), fileSystem);
+    },
+
+    /**
+     * Drops every cached directory listing and normalized module path, and re-reads the config
+     */
+    clear() {
+      steps.clear();
+      runSync(steps.load(), fileSystem);
+    }
+  };
+}
+
+/**
+ * The resolution logic shared by the synchronous and asynchronous APIs
+ *
+ * load, resolve, reverse, diagnose and realpath return generators that yield their filesystem operations (see lib/file-system.js)
+ *
+ * @param  {Object} options - The options given to lookup or createResolver
+ * @return {{load: Function, resolve: Function, reverse: Function, diagnose: Function, realpath: Function, invalidate: Function, clear: Function}}
+ */
+function resolverSteps(options) {
+  const { directory } = options;
+  const plugins = { ...builtinPlugins, ...options.plugins };
+  const discover = options.discoverConfig && !options.config && !options.configPath;
+  const directoryIndex = options.directoryIndex || createDirectoryIndex();
+  // Discovered config files, with the config loaded from each of them
+  const discoveredConfigs = new Map();
+  // Every config file read, including the mainConfigFile of build profiles
+  const configFiles = new Set();
+  // The parsed package manifests, undefined when missing or invalid
+  const manifests = new Map();
+  // The real paths of the files found and of the requesting files
+  const realpaths = new Map();
+  let loaded;
+
+  /**
+   * @param  {String|Object|Array} [source] - A config file or object, or an array of them to merge in order
+   * @return {Generator} Returns the loaded config
+   */
+  function * loadConfig(source = options.config) {
+    const configs = [];
+    let { configPath } = options;
+    let fromFile = false;
+
+    debug(`config: ${source}`);
+
+    // The baseUrl of every config file is made relative to the directory of the first one.
+    // A config without a baseUrl keeps the one of the configs before it.
+    for (const layer of [source || {}].flat()) {
+      if (typeof layer !== 'string') {
+        configs.push(layer);
+        continue;
+      }
+
+      if (!fromFile) {
+        configPath = path.dirname(layer);
+        fromFile = true;
+      }
+
+      const layerConfig = yield * readConfigFile(layer);
+
+      debug(`converting given config file ${layer} to an object:\n`, layerConfig);
+      configs.push(rebaseConfig(layerConfig || {}, path.dirname(layer), configPath));
+    }
+
+    const config = mergeConfigs(configs);
+
+    if (configPath && !(yield * statConfigPath(configPath)).isDirectory()) {
+      configPath = path.dirname(configPath);
+    }
+
+    debug(`configPath: ${configPath}`);
+
+    if (!config.baseUrl) {
+      config.baseUrl = './';
+      debug(`set baseUrl to ${config.baseUrl}`);
+    }
+
+    // Bundles are applied by normalize, which knows the bundleMode
+    const { bundles, ...contextConfig } = config;
+
+    return {
+      config,
+      configPath,
+      context: createContext(contextConfig),
+      // Without module-specific map entries, the requesting module makes no difference
+      hasScopedMap: Object.keys(config.map || {}).some(prefix => prefix !== '*'),
+      hasPathFallbacks: Object.values(config.paths || {}).some(value => Array.isArray(value)),
+      bundleIds: bundleIds(bundles),
+      // Caches of the normalized module urls and of the ids of requesting modules, which depend on the config
+      moduleUrls: new Map(),
+      parentIds: new Map()
+    };
+  }
+
+  function * readConfigFile(filepath) {
+    let config;
+    let profile;
+
+    configFiles.add(path.resolve(filepath));
+
+    try {
+      const contents = yield * readFile(filepath);
+
+      if (options.evaluateConfig) {
+        ({ config, profile } = evaluateConfig(filepath, contents, { ...options.evaluateConfig }));
+      } else {
+        const configFile = new ConfigFile(filepath, { readFileSync: () => contents });
+
+        config = configFile.read();
+
+        if (configFile.type === 'empty') {
+          profile = readBuildProfile(filepath, contents);
+        }
+      }
+    } catch(error) {
+      if (!options.strict) throw error;
+
+      throw new ConfigUnreadableError(`Could not read the config ${filepath}: ${error.message}`, { cause: error });
+    }
+
+    if (profile) {
+      return yield * buildProfileConfig(profile, filepath);
+    }
+
+    if (!config && options.strict) {
+      throw new ConfigUnreadableError(`Could not find a config object in ${filepath}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Merges an r.js build profile over the configs of its mainConfigFile, as the optimizer does
+   *
+   * @param  {Object} profile
+   * @param  {String} filepath - The build profile
+   * @return {Generator} Returns the config, with a baseUrl relative to the directory of the profile
+   */
+  function * buildProfileConfig(profile, filepath) {
+    const profileDirectory = path.dirname(filepath);
+    const { mainConfigFile, appDir, ...profileConfig } = profile;
+    const configs = [];
+
+    for (const mainFile of [mainConfigFile || []].flat()) {
+      const mainPath = path.join(profileDirectory, mainFile);
+
+      debug(`reading the mainConfigFile ${mainPath} of ${filepath}`);
+      // Without a baseUrl, r.js uses the directory of the mainConfigFile
+      const mainConfig = { baseUrl: './', ...yield * readConfigFile(mainPath) };
+
+      configs.push(rebaseConfig(mainConfig, path.dirname(mainPath), profileDirectory));
+    }
+
+    // With an appDir, the baseUrl of the profile is relative to the appDir
+    const appDirectory = appDir ? path.join(profileDirectory, appDir) : profileDirectory;
+
+    return mergeConfigs([...configs, rebaseConfig(profileConfig, appDirectory, profileDirectory)]);
+  }
+
+  function * statConfigPath(filepath) {
+    try {
+      return yield * stat(filepath);
+    } catch(error) {
+      if (!options.strict || error.code !== 'ENOENT') throw error;
+
+      throw new ConfigPathMissingError(`The configPath ${filepath} does not exist`, { cause: error });
+    }
+  }
+
+  /**
+   * @param  {String} [filename] - The requesting file, to discover its config from when discoverConfig is set
+   * @return {Generator} Returns the loaded config
+   */
+  function * load(filename) {
+    if (discover && filename) {
+      const discoveredFile = yield * discoverConfig(path.dirname(path.resolve(filename)), directoryIndex.configLocations);
+
+      if (discoveredFile) {
+        if (!discoveredConfigs.has(discoveredFile)) {
+          discoveredConfigs.set(discoveredFile, yield * loadConfig(discoveredFile));
+        }
+
+        return discoveredConfigs.get(discoveredFile);
+      }
+    }
+
+    loaded ||= yield * loadConfig();
+    return loaded;
+  }
+
+  // The context applies paths, map and packages: a bare package name becomes
+  // location/main (main defaults to "main"), and package sub-modules resolve
+  // relative to the package location. Module-specific map entries only apply
+  // when the id of the requesting module is given.
+  //
+  // The urls hold one url per entry when the module resolves through a paths
+  // fallback array, a single url otherwise. When detailed, the rules that
+  // were applied are described as well.
+  //
+  // A module listed in the bundles config has the bundleId of the bundle providing it.
+  // Unless the bundleMode is 'source', its urls are those of the bundle, as in RequireJS.
+  function normalize(state, moduleId, parentId = '') {
+    const { context, hasPathFallbacks, moduleUrls } = state;
+    const key = `${parentId}!${moduleId}`;
+
+    if (!moduleUrls.has(key)) {
+      const parentMap = parentId ? context.makeModuleMap(parentId) : undefined;
+      const localRequire = parentMap ? context.makeRequire(parentMap) : context.require;
+      const bundleId = bundleOf(context, state.bundleIds, moduleId, parentMap);
+      const fallbacks = hasPathFallbacks && pathFallbacks(context, moduleId, parentMap);
+      const urls = bundleId && options.bundleMode !== 'source' ?
+        normalize(state, bundleId).urls :
+        fallbacks || [localRequire.toUrl(moduleId)];
+
+      moduleUrls.set(key, {
+        ...options.detailed && describeNormalization(context, moduleId, parentMap),
+        ...bundleId && { bundleId },
+        urls
+      });
+    }
+
+    return moduleUrls.get(key);
+  }
+
+  function * resolve(depPath, filename) {
+    const state = yield * load(filename);
+    const { plugin, resourceId } = splitLoader(depPath);
+    const warnings = [];
+    const attempts = [];
+    let moduleIds = [resourceId];
+    let handlerName;
+
+    debug(`partial: ${depPath}`);
+    debug(`filename: ${filename}`);
+
+    if (plugin) {
+      debug(`stripping off the plugin loader from ${depPath}`);
+      debug(`partial is now ${resourceId}`);
+
+      const name = pluginName(state, plugin, filename);
+      const handler = Object.hasOwn(plugins, name) ? plugins[name] : undefined;
+
+      if (handler) {
+        moduleIds = [handler(resourceId, { config: state.config, options })].flat();
+        handlerName = name;
+        debug(`the ${name} plugin loads ${moduleIds.join(', ')}`);
+      }
+    }
+
+    try {
+      for (const moduleId of moduleIds) {
+        const attempt = yield * resolveModuleId(state, moduleId, filename, warnings);
+
+        attempts.push(attempt);
+
+        if (attempt.path) break;
+      }
+    } catch(error) {
+      if (error instanceof LookupError) {
+        error.partial ??= depPath;
+      }
+
+      throw error;
+    }
+
+    const { path: resolvedPath = '', fallbackIndex, url: mirroredUrl } = attempts.find(attempt => attempt.path) || {};
+    const candidates = attempts.flatMap(attempt => attempt.candidates);
+    // Without a local file, a module served from a remote url is external rather than missing
+    const externalUrl = resolvedPath ? undefined : candidates.find(candidate => candidate.outcome === 'remote')?.path;
+
+    if (externalUrl && options.strict) {
+      throw new ExternalModuleError(`Module '${depPath}' is served from ${externalUrl}`, {
+        partial: depPath,
+        candidates,
+        url: externalUrl
+      });
+    }
+
+    if (!resolvedPath && options.strict) {
+      throw new ModuleNotFoundError(`Cannot find module '${depPath}' from ${filename}`, {
+        partial: depPath,
+        candidates
+      });
+    }
+
+    return result({
+      path: yield * outputPath(resolvedPath),
+      partial: depPath,
+      plugin: plugin ? { id: plugin, handler: handlerName } : undefined,
+      fallbackIndex,
+      ...externalUrl && { external: true, url: externalUrl },
+      ...mirroredUrl && { url: mirroredUrl },
+      bundle: yield * bundleFile(state, attempts, filename),
+      shim: yield * shimEntry(state, attempts, filename),
+      correctPath: yield * checkCase(attempts.find(attempt => attempt.path), depPath, warnings),
+      attempts,
+      warnings
+    });
+  }
+
+  /**
+   * @param  {Object} state - The loaded config
+   * @param  {Object[]} attempts - The attempts of a lookup
+   * @param  {String} filename - The file containing the dependency
+   * @return {Generator} Returns the id and path ('' if it was not found) of the bundle providing
+   *                     the module found, or else the last module looked up, if any (only when detailed)
+   */
+  function * bundleFile(state, attempts, filename) {
+    const { bundleId } = attempts.find(attempt => attempt.path) || attempts.at(-1) || {};
+
+    if (!bundleId || !options.detailed) return;
+
+    const { path: bundlePath } = yield * resolveModuleId(state, bundleId, filename, []);
+
+    return { id: bundleId, path: bundlePath };
+  }
+
+  /**
+   * @param  {String} filepath
+   * @return {Generator} Returns the path with every symlink followed, or the path itself when it does not exist
+   */
+  function * realFile(filepath) {
+    const key = path.resolve(filepath);
+
+    if (!realpaths.has(key)) {
+      let real = filepath;
+
+      try {
+        real = yield * realpath(filepath);
+      } catch(error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          if (!options.strict) throw error;
+
+          throw new FileSystemError(`Could not find the real path of ${filepath}: ${error.message}`, { cause: error });
+        }
+
+        debug(`${filepath} has no real path: ${error.message}`);
+      }
+
+      realpaths.set(key, real);
+    }
+
+    return realpaths.get(key);
+  }
+
+  // The path of the file found, as returned with the realpath option
+  function * outputPath(resolvedPath) {
+    return options.realpath && resolvedPath ? yield * realFile(resolvedPath) : resolvedPath;
+  }
+
+  // The directory that relative dependencies are resolved from, which is the directory
+  // of the link rather than of the file it points at, unless preserveSymlinks is false
+  function * requestingDirectory(filename) {
+    return path.dirname(options.preserveSymlinks === false && filename ? yield * realFile(filename) : filename);
+  }
+
+  /**
+   * Compares every segment of the path of the file found with the directory listings, from the resolution directory,
+   * as case-insensitive filesystems find files whatever the case of the dependency
+   *
+   * @param  {Object} [attempt] - The attempt that found a file
+   * @param  {String} partial - The dependency name
+   * @param  {String[]} warnings - Collects the warnings
+   * @return {Generator} Returns the path as spelled on disk when it differs (only with the caseSensitive option)
+   */
+  function * checkCase(attempt, partial, warnings) {
+    if (!options.caseSensitive || !attempt) return;
+
+    const file = path.resolve(attempt.path);
+    let correctPath = path.resolve(attempt.resolutionDirectory);
+
+    for (const segment of path.relative(correctPath, file).split(path.sep)) {
+      if (segment === '..') {
+        correctPath = path.dirname(correctPath);
+        continue;
+      }
+
+      let files = [];
+
+      try {
+        files = yield * directoryIndex.list(correctPath);
+      } catch(error) {
+        debug(`could not check the case of ${segment} in ${correctPath}: ${error.message}`);
+      }
+
+      const spelling = files.includes(segment) ? segment : files.find(name => name.toLowerCase() === segment.toLowerCase());
+
+      correctPath = path.join(correctPath, spelling || segment);
+    }
+
+    if (correctPath === file) return;
+
+    const message = `${partial} resolves to ${file}, which is spelled ${correctPath} on disk`;
+
+    if (options.caseSensitive === 'error') {
+      throw new CaseMismatchError(message, { partial, candidates: attempt.candidates, correctPath });
+    }
+
+    debug(message);
+    warnings.push(message);
+
+    return correctPath;
+  }
+
+  /**
+   * Finds the shim entry of the module found (or else of the last module looked up), as RequireJS does:
+   * by the module id once map and packages are applied
+   *
+   * @param  {Object} state - The loaded config
+   * @param  {Object[]} attempts - The attempts of a lookup
+   * @param  {String} filename - The file containing the dependency
+   * @return {Generator} Returns the `id`, `exports` and `init` of the shim entry, and its `deps`
+   *                     with their `path` ('' if not found) and remote `url` (only with the shim option, when detailed)
+   */
+  function * shimEntry(state, attempts, filename) {
+    const { config, context } = state;
+    const attempt = attempts.find(({ path }) => path) || attempts.at(-1);
+
+    // Relative ids have no module id to match without the id of the requesting module
+    if (!options.shim || !options.detailed || !config.shim || !attempt || attempt.resolutionBasis === 'relative') return;
+
+    const id = mappedName(context, attempt.moduleId, attempt.parentId);
+
+    if (!Object.hasOwn(config.shim, id)) return;
+
+    const entry = config.shim[id];
+    // A shim entry can be the array of its deps
+    const { deps = [], exports, init } = Array.isArray(entry) ? { deps: entry } : entry;
+    const resolvedDeps = [];
+
+    for (const dependency of deps) {
+      // The deps are resolved from the shimmed file
+      const { path: dependencyPath, candidates } = yield * resolveModuleId(state, dependency, attempt.path || filename, []);
+      const url = dependencyPath ? undefined : candidates.find(({ outcome }) => outcome === 'remote')?.path;
+
+      resolvedDeps.push({ id: dependency, path: dependencyPath, ...url && { url } });
+    }
+
+    return {
+      id,
+      deps: resolvedDeps,
+      exports,
+      init
+    };
+  }
+
+  /**
+   * Works out which registered plugin a plugin id refers to, applying map and paths:
+   * `text` is often mapped or aliased to the location of the plugin (e.g. `vendor/requirejs-text/text`)
+   *
+   * @param  {Object} state - The loaded config
+   * @param  {String} plugin - The plugin id as written in the dependency
+   * @param  {String} filename - The file containing the dependency
+   * @return {String}
+   */
+  function pluginName(state, plugin, filename) {
+    const { context, configPath } = state;
+
+    if (!configPath && !directory) return plugin;
+
+    const parentId = parentModuleId(state, filename);
+    const parentMap = parentId ? context.makeModuleMap(parentId) : undefined;
+    const mapped = context.makeModuleMap(plugin, parentMap, false, true).name;
+    const target = [context.config.paths[mapped]].flat()[0];
+
+    if (Object.hasOwn(plugins, mapped) || typeof target !== 'string') return mapped;
+
+    return target.split('/').pop().replace(/\.js$/, '');
+  }
+
+  /**
+   * @param  {Object} state - The loaded config
+   * @return {String} The directory that the urls of non-relative module ids are relative to
+   */
+  function moduleRoot({ config, configPath }) {
+    let resolutionDirectory;
+
+    if (configPath) {
+      resolutionDirectory = configPath;
+      debug(`module resolution directory (based on configPath): ${resolutionDirectory}`);
+    } else if (directory) {
+      resolutionDirectory = directory;
+      debug(`module resolution directory (based on directory): ${resolutionDirectory}`);
+    }
+
+    if (config.baseUrl[0] === '/') {
+      debug('baseUrl with a leading slash detected');
+      resolutionDirectory = resolutionDirectory.replaceAll('\\', '/').replace(config.baseUrl, '');
+      debug(`new resolution directory: ${resolutionDirectory}`);
+    }
+
+    return resolutionDirectory;
+  }
+
+  /**
+   * @param  {Object} state - The loaded config
+   * @param  {String} filename
+   * @return {String|undefined} The id of the requesting module, when it matters to the map config
+   */
+  function parentModuleId(state, filename) {
+    if (!state.hasScopedMap || !filename) return;
+
+    if (!state.parentIds.has(filename)) {
+      const file = path.resolve(filename);
+      const fileId = file.slice(0, file.length - path.extname(file).length);
+      const [parentId] = fileModuleIds(fileId, moduleRoot(state), state.context);
+
+      debug(`requesting module id: ${parentId}`);
+      state.parentIds.set(filename, parentId);
+    }
+
+    return state.parentIds.get(filename);
+  }
+
+  /**
+   * Looks for the file of a single module id
+   *
+   * @param  {Object} state - The loaded config
+   * @param  {String} moduleId
+   * @param  {String} filename - The file containing the dependency
+   * @param  {String[]} warnings - Collects the warnings
+   * @return {Generator} Returns the attempt: where the file was looked for, and the path found ('' if none)
+   */
+  function * resolveModuleId(state, moduleId, filename, warnings) {
+    const { configPath } = state;
+    const attempt = { moduleId };
+    let normalizedModuleId = moduleId;
+    let resolutionDirectory;
+    let urls = [normalizedModuleId];
+
+    if (normalizedModuleId[0] === '.' || (!configPath && !directory)) {
+      resolutionDirectory = yield * requestingDirectory(filename);
+      attempt.resolutionBasis = 'relative';
+      debug(`module resolution directory (relative): ${resolutionDirectory}`);
+    } else {
+      resolutionDirectory = moduleRoot(state);
+      attempt.resolutionBasis = configPath ? 'configPath' : 'directory';
+
+      if (normalizedModuleId[0] === '/') {
+        normalizedModuleId = normalizedModuleId.replaceAll(/^\/+/g, '');
+      }
+
+      attempt.parentId = parentModuleId(state, filename);
+      Object.assign(attempt, normalize(state, normalizedModuleId, attempt.parentId));
+      ({ urls } = attempt);
+    }
+
+    Object.assign(attempt, {
+      resolutionDirectory,
+      urls,
+      candidates: [],
+      path: ''
+    });
+
+    for (const [index, url] of urls.entries()) {
+      const fallbackIndex = urls.length > 1 ? index : undefined;
+      let normalizedUrl = url;
+
+      debug(`requirejs normalized module id: ${normalizedUrl}`);
+
+      if (isRemote(normalizedUrl)) {
+        attempt.candidates.push({ path: normalizedUrl, outcome: 'remote' });
+
+        const mirrored = mirrorPath(normalizedUrl, options.mirrors);
+
+        if (!mirrored) {
+          debug(`skipping remote url ${normalizedUrl}`);
+          continue;
+        }
+
+        debug(`looking for ${normalizedUrl} in its mirror ${mirrored}`);
+
+        const foundMirror = yield * findModuleFile(mirrored, attempt.candidates, warnings);
+
+        if (foundMirror) {
+          return Object.assign(attempt, { path: foundMirror, url: normalizedUrl, fallbackIndex });
+        }
+
+        continue;
+      }
+
+      if (normalizedUrl.includes('...')) {
+        debug('detected a nested subdirectory resolution that needs to be expanded');
+        normalizedUrl = normalizedUrl.replace('.../', '../../');
+        debug(`expanded module id: ${normalizedUrl}`);
+      }
+
+      const resolved = path.join(resolutionDirectory, normalizedUrl);
+      const foundFile = yield * findModuleFile(resolved, attempt.candidates, warnings);
+
+      if (foundFile) {
+        if (fallbackIndex !== undefined) {
+          debug(`using paths fallback ${fallbackIndex}`);
+        }
 
-  debug(`config: ${config}`);
-  debug(`partial: ${depPath}`);
-  debug(`filename: ${filename}`);
+        return Object.assign(attempt, { path: foundFile, fallbackIndex });
+      }
+    }
+
+    // A module served from a remote url is resolved by the config
+    if (options.packageFallback && /^[^./]/.test(moduleId) && !attempt.candidates.some(({ outcome }) => outcome === 'remote')) {
+      yield * findInstalledPackage(state, attempt, filename, warnings);
+    }
 
-  if (typeof config === 'string') {
-    configPath = path.dirname(config);
-    config = new ConfigFile(config, fileSystem).read();
-    debug(`converting given config file ${configPath} to an object:\n`, config);
+    return attempt;
   }
 
-  if (configPath && !fileSystem.statSync(configPath).isDirectory()) {
-    configPath = path.dirname(configPath);
+  /**
+   * Looks for a module id in the node_modules and bower_components directories of the directory
+   * of the requesting file and its ancestors, then of the module resolution directory and its ancestors
+   *
+   * The first path segment names the package (the first two for a scoped package). The rest is
+   * a file of the package, otherwise its manifest names the entry file.
+   *
+   * @param  {Object} state - The loaded config
+   * @param  {Object} attempt - The attempt that found no file, updated with the file found
+   * @param  {String} filename - The file containing the dependency
+   * @param  {String[]} warnings - Collects the warnings
+   * @return {Generator}
+   */
+  function * findInstalledPackage(state, attempt, filename, warnings) {
+    const moduleId = mappedName(state.context, attempt.moduleId, attempt.parentId) + splitExtension(attempt.moduleId).ext;
+    const segments = moduleId.split('/');
+    const nameLength = moduleId[0] === '@' ? 2 : 1;
+    const name = segments.slice(0, nameLength).join('/');
+    const subpath = segments.slice(nameLength).join('/');
+    const visited = new Set();
+
+    for (const start of [yield * requestingDirectory(filename), moduleRoot(state)]) {
+      if (!start) continue;
+
+      for (let dir = path.resolve(start); !visited.has(dir); dir = path.dirname(dir)) {
+        visited.add(dir);
+
+        for (const [installDirectory, manifestFiles] of installDirectories) {
+          const packageDirectory = path.join(dir, installDirectory, name);
+
+          if (path.basename(dir) === installDirectory || !(yield * isListed(packageDirectory))) continue;
+
+          debug(`looking for ${moduleId} in ${packageDirectory}`);
+
+          const entry = subpath ? { file: subpath } : yield * packageEntry(packageDirectory, manifestFiles);
+          let found = yield * findModuleFile(path.join(packageDirectory, entry.file), attempt.candidates, warnings);
+
+          // Like Node.js, an entry can be a directory
+          if (!found && !path.extname(entry.file)) {
+            found = yield * findModuleFile(path.join(packageDirectory, entry.file, 'index'), attempt.candidates, warnings);
+          }
+
+          if (found) {
+            Object.assign(attempt, {
+              path: found,
+              installedPackage: {
+                name,
+                directory: packageDirectory,
+                manifest: entry.manifest,
+                field: entry.field
+              }
+            });
+            return;
+          }
+        }
+      }
+    }
   }
 
-  debug(`configPath: ${configPath}`);
+  /**
+   * @param  {String} packageDirectory
+   * @param  {String[]} manifestFiles - The manifests to read, in order
+   * @return {Generator} Returns the entry `file` of the package, with the `manifest` and `field` naming it
+   */
+  function * packageEntry(packageDirectory, manifestFiles) {
+    for (const manifestFile of manifestFiles) {
+      const manifest = yield * readManifest(path.join(packageDirectory, manifestFile));
 
-  if (!config.baseUrl) {
-    config.baseUrl = './';
-    debug(`set baseUrl to ${config.baseUrl}`);
+      for (const field of manifestFields[manifestFile]) {
+        // Bower's main can list a file of each type, and browser can be an object replacing files
+        const file = [manifest?.[field]].flat().find(value => typeof value === 'string' && !/\.(css|less|scss)$/.test(value));
+
+        if (file) return { file, manifest: manifestFile, field };
+      }
+    }
+
+    return { file: 'index' };
   }
 
-  let normalizedModuleId = stripLoader(depPath);
-  let resolutionDirectory;
+  function * isListed(filepath) {
+    try {
+      return (yield * directoryIndex.list(path.dirname(filepath))).includes(path.basename(filepath));
+    } catch(error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
 
-  if (normalizedModuleId[0] === '.' || (!configPath && !options.directory)) {
-    resolutionDirectory = path.dirname(options.filename);
-    debug(`module resolution directory (relative): ${resolutionDirectory}`);
-  } else {
-    if (configPath) {
-      resolutionDirectory = configPath;
-      debug(`module resolution directory (based on configPath): ${resolutionDirectory}`);
-    } else if (options.directory) {
-      resolutionDirectory = options.directory;
-      debug(`module resolution directory (based on directory): ${resolutionDirectory}`);
+      return false;
     }
+  }
 
-    if (config.baseUrl[0] === '/') {
-      debug('baseUrl with a leading slash detected');
-      resolutionDirectory = resolutionDirectory.replaceAll('\\', '/').replace(config.baseUrl, '');
-      debug(`new resolution directory: ${resolutionDirectory}`);
+  function * readManifest(filepath) {
+    if (!manifests.has(filepath)) {
+      let manifest;
+
+      try {
+        if (yield * directoryIndex.isFile(filepath)) {
+          manifest = JSON.parse(yield * readFile(filepath));
+        }
+      } catch(error) {
+        debug(`could not read the manifest ${filepath}: ${error.message}`);
+      }
+
+      manifests.set(filepath, manifest);
+    }
+
+    return manifests.get(filepath);
+  }
+
+  function * findModuleFile(resolved, candidates, warnings) {
+    debug(`resolved url: ${resolved}`);
+
+    // No need to search for a file that already has an extension
+    // Need to guard against jquery.min being treated as a real file
+    if (path.extname(resolved)) {
+      const exists = yield * fileExists(resolved, options.strict, directoryIndex);
+
+      candidates.push({ path: resolved, outcome: exists ? 'found' : 'missing' });
+
+      if (exists) {
+        debug(`${resolved} already has an extension and is a real file`);
+        return resolved;
+      }
+    }
+
+    const foundFile = (yield * findFileLike(resolved, directoryIndex, {
+      extensions: options.extensions,
+      ambiguous: options.ambiguous ?? (options.strict ? 'error' : 'first'),
+      strict: options.strict,
+      ignoreCase: Boolean(options.caseSensitive),
+      candidates,
+      warnings
+    })) || '';
+
+    if (foundFile) {
+      debug(`found file like ${resolved}: ${foundFile}`);
+    } else {
+      debug(`could not find any file like ${resolved}`);
+    }
+
+    return foundFile;
+  }
+
+  /**
+   * Lists every module id that resolves to the given file: its id relative to the baseUrl,
+   * the ids going through paths aliases and packages, and the map entries pointing at any of those
+   *
+   * Each id is checked with a forward lookup, so the two directions always agree.
+   *
+   * @param  {String} filename
+   * @return {Generator} Returns the sorted module ids
+   */
+  function * reverse(filename) {
+    const state = yield * load(filename);
+    const { configPath, context } = state;
+
+    if (!configPath && !directory) return [];
+
+    const resolutionDirectory = moduleRoot(state);
+    const file = path.resolve(filename);
+    // Only .js files are referenced without their extension
+    const fileId = path.extname(file) === '.js' ? file.slice(0, -3) : file;
+    const ids = new Map(fileModuleIds(fileId, resolutionDirectory, context).map(id => [id, '']));
+
+    for (const [name, main] of Object.entries(context.config.pkgs)) {
+      if (ids.has(main)) ids.set(name, '');
+    }
+
+    // Map entries apply once, so only the ids found so far can be their targets
+    const targetIds = [...ids.keys()];
+
+    for (const [scope, entries] of Object.entries(context.config.map || {})) {
+      for (const [from, to] of Object.entries(entries)) {
+        for (const id of targetIds) {
+          if (id === to || id.startsWith(`${to}/`)) {
+            ids.set(from + id.slice(to.length), scope === '*' ? '' : scope);
+          }
+        }
+      }
     }
 
-    if (normalizedModuleId[0] === '/') {
-      normalizedModuleId = normalizedModuleId.replaceAll(/^\/+/g, '');
+    const moduleIds = [];
+
+    for (const [id, parentId] of ids) {
+      for (const url of normalize(state, id, parentId).urls) {
+        if (isRemote(url)) continue;
+
+        const foundFile = yield * findModuleFile(path.join(resolutionDirectory, url), [], []);
+
+        if (foundFile && path.resolve(foundFile) === file) {
+          moduleIds.push(id);
+          break;
+        }
+      }
     }
 
-    requirejs.config(config);
-    normalizedModuleId = requirejs.toUrl(normalizedModuleId);
+    debug(`module ids of ${filename}: ${moduleIds.join(', ')}`);
+
+    return moduleIds.toSorted();
   }
 
-  debug(`requirejs normalized module id: ${normalizedModuleId}`);
+  /**
+   * Checks every paths, packages, map and bundles target of the config against the filesystem,
+   * and looks for aliases that shadow or overlap each other
+   *
+   * @return {Generator} Returns the problems found
+   */
+  function * diagnose() {
+    const state = yield * load();
+    const { config, context } = state;
+    const { baseUrl } = context.config;
+    const problems = [];
+
+    if (!state.configPath && !directory) {
+      throw new TypeError('doctor needs a config file, a configPath or a directory');
+    }
+
+    const root = moduleRoot(state);
+
+    function * checkTarget(entry, url) {
+      if (isRemote(url)) return true;
+
+      const resolved = path.join(root, url);
+
+      if (yield * targetExists(resolved)) return true;
+
+      problems.push({
+        severity: 'error',
+        kind: 'missing',
+        ...entry,
+        message: `${entryName(entry)} points at ${entry.target}, which does not exist (${resolved})`
+      });
+
+      return false;
+    }
+
+    for (const [alias, value] of Object.entries(config.paths || {})) {
+      for (const target of [value].flat()) {
+        yield * checkTarget({ section: 'paths', id: alias, target }, baseUrlTarget(target, baseUrl));
+      }
+    }
+
+    for (const entry of config.packages || []) {
+      const { name, location = name } = typeof entry === 'string' ? { name: entry } : entry;
+
+      if (yield * checkTarget({ section: 'packages', id: name, target: location }, baseUrlTarget(location, baseUrl))) {
+        yield * checkTarget({ section: 'packages', id: name, target: context.config.pkgs[name] }, context.nameToUrl(name, '', true));
+      }
+    }
+
+    for (const [scope, entries] of Object.entries(config.map || {})) {
+      for (const [from, to] of Object.entries(entries)) {
+        yield * checkTarget({
+          section: 'map',
+          scope,
+          id: from,
+          target: to
+        }, context.nameToUrl(to, '', true));
+      }
+    }
+
+    for (const bundleId of Object.keys(config.bundles || {})) {
+      yield * checkTarget({ section: 'bundles', id: bundleId, target: bundleId }, context.nameToUrl(bundleId, '', true));
+    }
 
-  if (normalizedModuleId.includes('...')) {
-    debug('detected a nested subdirectory resolution that needs to be expanded');
-    normalizedModuleId = normalizedModuleId.replace('.../', '../../');
-    debug(`expanded module id: ${normalizedModuleId}`);
+    return [...problems, ...aliasConflicts(config)];
   }
 
-  const resolved = path.join(resolutionDirectory, normalizedModuleId);
+  // A target can be a directory (e.g. `templates: '../templates'`) as well as a module
+  function * targetExists(resolved) {
+    try {
+      yield * stat(resolved);
+      return true;
+    } catch(error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
 
-  debug(`resolved url: ${resolved}`);
+    return Boolean(yield * findModuleFile(resolved, [], []));
+  }
 
-  // No need to search for a file that already has an extension
-  // Need to guard against jquery.min being treated as a real file
-  if (path.extname(resolved) && fileExists(resolved, fileSystem)) {
-    debug(`${resolved} already has an extension and is a real file`);
-    return resolved;
+  function result(resolution) {
+    return options.detailed ? resolution : resolution.path;
   }
 
-  const foundFile = findFileLike(resolved, fileSystem) || '';
+  function invalidate(filepath) {
+    const target = path.resolve(filepath);
+
+    if (configFiles.has(target)) {
+      debug(`invalidating config ${target}`);
+      clear();
+      return;
+    }
+
+    if (discover && forgetDiscoveredConfigs(target, directoryIndex.configLocations)) {
+      debug(`forgetting the discovered configs after a change to ${target}`);
+      discoveredConfigs.clear();
+    }
+
+    directoryIndex.invalidate(target);
+    manifests.delete(target);
+
+    for (const file of realpaths.keys()) {
+      if (file === target || file.startsWith(`${target}${path.sep}`)) {
+        realpaths.delete(file);
+      }
+    }
+  }
 
-  if (foundFile) {
-    debug(`found file like ${resolved}: ${foundFile}`);
-  } else {
-    debug(`could not find any file like ${resolved}`);
+  function clear() {
+    debug('clearing the resolver cache');
+    loaded = undefined;
+    configFiles.clear();
+    discoveredConfigs.clear();
+    directoryIndex.clear();
+    manifests.clear();
+    realpaths.clear();
   }
 
-  return foundFile;
+  return {
+    load,
+    resolve,
+    reverse,
+    diagnose,
+    realpath: realFile,
+    invalidate,
+    clear
+  };
+}
+
+/**
+ * Creates a RequireJS context configured with the given config
+ *
+ * The context is never registered with the global RequireJS instance,
+ * so the paths and map entries of one config cannot leak into another.
+ *
+ * @param  {Object} config
+ * @return {Object} RequireJS context
+ */
+function createContext(config) {
+  const context = requirejs.s.newContext(`module-lookup-amd-${++contextCount}`);
+
+  // configure() appends a slash to the baseUrl of the object it is given
+  context.configure({ ...config });
+
+  return context;
+}
+
+/**
+ * Reads an r.js build profile, a bare object literal (e.g. `({ mainConfigFile: 'js/main.js' })`)
+ *
+ * The profile is read as the argument of a require.config() call, so that it is parsed like any other config.
+ *
+ * @param  {String} filepath
+ * @param  {String} contents
+ * @return {Object|undefined} Undefined when the file is not a build profile
+ */
+function readBuildProfile(filepath, contents) {
+  // Like r.js, tolerate a trailing semicolon or source map comment
+  const profile = contents.replace(/\/\/#[^\n\r]+[\n\r]*$/, '').trim().replace(/;$/, '');
+
+  if (!profile.startsWith('(') && !profile.startsWith('{')) return;
+
+  try {
+    return new ConfigFile(filepath, { readFileSync: () => `require.config(${profile});` }).read() || undefined;
+  } catch(error) {
+    debug(`${filepath} is not a build profile: ${error.message}`);
+  }
 }
 
 /**
- * Finds a file on disk whose name starts with the basename of `resolved` followed by a dot
+ * Finds a file on disk named after the basename of `resolved` plus an extension
  * (e.g. resolves `foo/bar` to `foo/bar.js`)
  *
+ * The given extensions are tried in order. Failing those, any other `basename.ext` file matches,
+ * but `foo/bar.js.map` or `foo/bar.spec.js` never do.
+ *
  * @param  {String} resolved - Absolute path without extension
- * @param  {Object} [fileSystem] - fs-compatible implementation
- * @return {String|undefined} Absolute path of the matched file, or undefined if none found
+ * @param  {Object} [directoryIndex] - The directory listings (see lib/directory-index.js)
+ * @param  {Object} [options]
+ * @param  {String[]} [options.extensions] - Extensions in order of preference
+ * @param  {String} [options.ambiguous] - What to do when several other files match: 'first', 'warn' or 'error'
+ * @param  {Boolean} [options.strict] - Throw a FileSystemError when the directory cannot be read
+ * @param  {Boolean} [options.ignoreCase] - Also match the files spelled with another case, when the filesystem ignores the case.
+ *                                          The path returned keeps the spelling of `resolved`, for the caseSensitive check to report.
+ * @param  {Object[]} [options.candidates] - Collects every file checked, with its outcome
+ * @param  {String[]} [options.warnings] - Collects the warnings
+ * @return {Generator} Returns the absolute path of the matched file, or undefined if none found
  */
-function findFileLike(resolved, fileSystem = fs) {
+function * findFileLike(resolved, directoryIndex = createDirectoryIndex(), options = {}) {
+  const {
+    extensions = ['.js'],
+    ambiguous = 'first',
+    strict = false,
+    ignoreCase = false,
+    candidates = [],
+    warnings = []
+  } = options;
   const dir = path.dirname(resolved);
   const base = path.basename(resolved);
-  const pattern = `${base}.`;
+  let files;
 
   debug(`looking for file like ${resolved}.*`);
 
   try {
-    const files = fileSystem.readdirSync(dir);
-    const matches = files
-      .filter(file => file.startsWith(pattern))
-      .map(file => path.join(dir, file));
-
-    debug(`found the following matches: ${matches.join('\n')}`);
-
-    // Not great if there are multiple matches, but the pattern should be
-    // specific enough to prevent multiple results
-    return matches[0];
+    files = yield * directoryIndex.list(dir);
   } catch(error) {
     debug(`error when looking for a match: ${error.message}`);
+    reportUnreadableDirectory(dir, error, { strict, candidates });
     return '';
   }
+
+  const matches = yield * filesLike(base, dir, files, { directoryIndex, ignoreCase });
+
+  debug(`found the following matches: ${matches.join('\n')}`);
+
+  for (const ext of extensions) {
+    const file = base + (ext[0] === '.' ? ext : `.${ext}`);
+    const found = matches.includes(file);
+
+    candidates.push({ path: path.join(dir, file), outcome: found ? 'found' : 'missing' });
+
+    if (found) return path.join(dir, file);
+  }
+
+  if (matches.length > 1 && ambiguous !== 'first') {
+    reportAmbiguousMatches(resolved, matches, { ambiguous, candidates, warnings });
+  }
+
+  for (const [index, file] of matches.entries()) {
+    candidates.push({ path: path.join(dir, file), outcome: index === 0 ? 'found' : 'skipped' });
+  }
+
+  return matches[0] && path.join(dir, matches[0]);
+}
+
+/**
+ * Lists the files of a directory named after `base` plus an extension
+ *
+ * @param  {String} base
+ * @param  {String} dir
+ * @param  {String[]} files - The names of the directory entries
+ * @param  {Object} options
+ * @param  {Object} options.directoryIndex
+ * @param  {Boolean} options.ignoreCase - Also match the files whose name is spelled with another case
+ * @return {Generator} Returns the names of the files, sorted and spelled like `base`
+ */
+function * filesLike(base, dir, files, { directoryIndex, ignoreCase }) {
+  const key = ignoreCase ? name => name.toLowerCase() : name => name;
+  const matches = [];
+
+  for (const file of files.toSorted()) {
+    const spelled = base + path.extname(file);
+
+    if (key(file) === key(base) || key(file) !== key(spelled)) continue;
+
+    // A file spelled with another case is only reached when the filesystem ignores the case
+    if (file === spelled || (yield * directoryIndex.isFile(path.join(dir, spelled)))) {
+      matches.push(spelled);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Records a directory that findFileLike could not list
+ *
+ * @param  {String} dir
+ * @param  {Error} error
+ * @param  {Object} options
+ * @param  {Boolean} options.strict - Throw a FileSystemError unless the directory is missing
+ * @param  {Object[]} options.candidates
+ */
+function reportUnreadableDirectory(dir, error, { strict, candidates }) {
+  candidates.push({ path: dir, outcome: 'unreadable', error: error.message });
+
+  if (strict && error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+    throw new FileSystemError(`Could not read the directory ${dir}: ${error.message}`, { candidates, cause: error });
+  }
+}
+
+/**
+ * Reports the several files that findFileLike matched, the first of which is used
+ *
+ * @param  {String} resolved - Absolute path without extension
+ * @param  {String[]} matches - The names of the files matched, sorted
+ * @param  {Object} options
+ * @param  {String} options.ambiguous - 'warn' or 'error'
+ * @param  {Object[]} options.candidates
+ * @param  {String[]} options.warnings
+ */
+function reportAmbiguousMatches(resolved, matches, { ambiguous, candidates, warnings }) {
+  const dir = path.dirname(resolved);
+  const message = `${resolved} is ambiguous, it matches ${matches.join(', ')}`;
+
+  if (ambiguous === 'error') {
+    throw new AmbiguousMatchError(message, {
+      candidates: [
+        ...candidates,
+        ...matches.map(file => ({ path: path.join(dir, file), outcome: 'ambiguous' }))
+      ]
+    });
+  }
+
+  debug(message);
+  warnings.push(message);
 }
 
 /**
  * Returns whether a file exists at the given path
  *
  * @param  {String} filepath
- * @param  {Object} fileSystem - fs-compatible implementation
- * @return {Boolean}
+ * @param  {Boolean} [strict] - Wrap unexpected errors in a FileSystemError
+ * @param  {Object} [directoryIndex] - Answers from the directory listings instead of stat'ing the file
+ * @return {Generator} Returns a Boolean
  */
-function fileExists(filepath = '', fileSystem = fs) {
+function * fileExists(filepath = '', strict = false, directoryIndex) {
   try {
-    return fileSystem.statSync(filepath).isFile();
+    return directoryIndex ? yield * directoryIndex.isFile(filepath) : (yield * stat(filepath)).isFile();
   } catch(error) {
     // Check exception. If ENOENT - no such file or directory ok, file doesn't exist.
     // Otherwise something else went wrong, we don't have rights to access the file, ...
     if (error.code !== 'ENOENT') {
+      if (strict) {
+        throw new FileSystemError(`Could not access ${filepath}: ${error.message}`, { cause: error });
+      }
+
       throw error;
     }
 
@@ -160,19 +1661,278 @@ function fileExists(filepath = '', fileSystem = fs) {
 }
 
 /**
- * Strips the AMD plugin loader prefix from a dependency path (e.g. `text!foo` -> `foo`)
+ * Works out the module ids of a file, most specific first: one for every paths entry
+ * whose target contains the file, from the most specific target, then the file's location relative to the baseUrl
+ *
+ * @param  {String} fileId - Absolute path of the file, without the extension that module ids leave out
+ * @param  {String} resolutionDirectory - The directory that module urls are relative to
+ * @param  {Object} context - RequireJS context
+ * @return {String[]}
+ */
+function fileModuleIds(fileId, resolutionDirectory, context) {
+  const { baseUrl, paths } = context.config;
+  const matches = [];
+
+  for (const [alias, value] of Object.entries(paths)) {
+    for (const target of [value].flat()) {
+      const url = baseUrlTarget(target, baseUrl);
+      const targetDirectory = path.resolve(path.join(resolutionDirectory, url));
+
+      if (fileId === targetDirectory || fileId.startsWith(`${targetDirectory}${path.sep}`)) {
+        matches.push({
+          moduleId: alias + fileId.slice(targetDirectory.length).replaceAll(path.sep, '/'),
+          length: targetDirectory.length
+        });
+      }
+    }
+  }
+
+  const moduleIds = matches
+    .toSorted((a, b) => b.length - a.length)
+    .map(({ moduleId }) => moduleId);
+  const relative = path.relative(path.resolve(path.join(resolutionDirectory, baseUrl)), fileId);
+
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    moduleIds.push(relative.replaceAll(path.sep, '/'));
+  }
+
+  return moduleIds;
+}
+
+/**
+ * Finds the aliases of a config that hide or overlap each other: paths aliases overridden by
+ * a package location or by a global map entry, packages declared twice, and paths aliases nested in other aliases
+ *
+ * @param  {Object} config - RequireJS config
+ * @return {Object[]} The problems found, as warnings
+ */
+function aliasConflicts(config) {
+  const paths = config.paths || {};
+  const problems = [];
+  const warn = (kind, entry, message) => problems.push({
+    severity: 'warning',
+    kind,
+    ...entry,
+    message
+  });
+  const packageNames = new Set();
+
+  for (const entry of config.packages || []) {
+    const name = typeof entry === 'string' ? entry : entry.name;
+
+    if (packageNames.has(name)) {
+      warn('shadowed', { section: 'packages', id: name }, `package ${name} is declared more than once, the last declaration wins`);
+    } else if (Object.hasOwn(paths, name) && entry.location) {
+      warn('shadowed', { section: 'paths', id: name }, `paths.${name} is overridden by the location of package ${name}`);
+    }
+
+    packageNames.add(name);
+  }
+
+  for (const [from, to] of Object.entries(config.map?.['*'] || {})) {
+    for (const alias of Object.keys(paths)) {
+      if (alias === from || alias.startsWith(`${from}/`)) {
+        warn('shadowed', { section: 'paths', id: alias }, `paths.${alias} is never used as is, map.*.${from} maps ${from} to ${to}`);
+      }
+    }
+  }
+
+  for (const [alias, value] of Object.entries(paths)) {
+    for (const [parent, parentValue] of Object.entries(paths)) {
+      if (!alias.startsWith(`${parent}/`)) continue;
+
+      const implied = [parentValue].flat()[0] + alias.slice(parent.length);
+      const target = [value].flat()[0];
+
+      const message = target === implied ?
+        `paths.${alias} is redundant with paths.${parent}` :
+        `paths.${alias} overrides paths.${parent}, which would point at ${implied}`;
+
+      warn('overlap', { section: 'paths', id: alias, target }, message);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * @param  {Object} entry
+ * @param  {String} entry.section - paths, packages, map or bundles
+ * @param  {String} [entry.scope] - The module a map entry applies to
+ * @param  {String} entry.id
+ * @return {String} How the config entry is written in reports (e.g. `paths.jquery`, `map.*.jquery`)
+ */
+function entryName({ section, scope, id }) {
+  return scope ? `${section}.${scope}.${id}` : `${section}.${id}`;
+}
+
+/**
+ * @param  {String} target - A paths or packages location
+ * @param  {String} baseUrl
+ * @return {String} The url of the target, relative to the baseUrl unless it is absolute
+ */
+function baseUrlTarget(target, baseUrl) {
+  return /^\/|^[\w+.-]+:/.test(target) ? target : baseUrl + target;
+}
+
+/**
+ * Maps a remote url to the local mirror of its prefix
+ * (e.g. `//cdn.example.com/jquery` with `{ 'https://cdn.example.com/': 'vendor/cdn' }` -> `vendor/cdn/jquery`)
+ *
+ * The protocol is ignored when comparing the url to the prefixes, and the longest matching prefix wins.
+ *
+ * @param  {String} url
+ * @param  {Object} [mirrors] - Local directories keyed by url prefix
+ * @return {String|undefined} The absolute path of the mirrored url, if a prefix matches
+ */
+function mirrorPath(url, mirrors = {}) {
+  const withoutProtocol = value => value.replace(/^[\w+.-]+:/, '');
+  const remote = withoutProtocol(url);
+  const [prefix] = Object.keys(mirrors)
+    .filter(candidate => remote.startsWith(withoutProtocol(candidate)))
+    .toSorted((a, b) => withoutProtocol(b).length - withoutProtocol(a).length);
+
+  if (prefix === undefined) return;
+
+  return path.resolve(mirrors[prefix], remote.slice(withoutProtocol(prefix).length).replace(/^\/+/, ''));
+}
+
+/**
+ * Lists the url of every entry of the paths fallback array the module resolves through
+ * (e.g. `jquery: ['//cdn/jquery', 'vendor/jquery']`), mirroring RequireJS's toUrl
+ *
+ * @param  {Object} context - RequireJS context
+ * @param  {String} moduleId
+ * @param  {Object} [parentMap] - Module map of the requesting module
+ * @return {String[]|undefined} Undefined when the module does not resolve through a fallback array
+ */
+function pathFallbacks(context, moduleId, parentMap) {
+  const { baseUrl, paths } = context.config;
+  const { name, ext } = splitExtension(moduleId);
+  const parts = context.makeModuleMap(name, parentMap, false, true).name.split('/');
+
+  for (let i = parts.length; i > 0; i--) {
+    const prefix = parts.slice(0, i).join('/');
+    const value = Object.hasOwn(paths, prefix) ? paths[prefix] : undefined;
+
+    if (value) {
+      if (!Array.isArray(value)) return;
+
+      return value.map(entry => {
+        const url = [entry, ...parts.slice(i)].join('/') + ext;
+
+        return (url[0] === '/' || /^[\w+.-]+:/.test(url) ? '' : baseUrl) + url;
+      });
+    }
+  }
+}
+
+/**
+ * Maps every module id listed in the bundles config to the id of its bundle
+ *
+ * As in RequireJS, a module listed in several bundles belongs to the last one,
+ * and a bundle listing its own id is not redirected.
+ *
+ * @param  {Object} [bundles] - The bundles config: the module ids of every bundle, keyed by bundle id
+ * @return {Map}
+ */
+function bundleIds(bundles = {}) {
+  return new Map(Object.entries(bundles).flatMap(([bundleId, moduleIds]) => moduleIds
+    .filter(moduleId => moduleId !== bundleId)
+    .map(moduleId => [moduleId, bundleId])));
+}
+
+/**
+ * Finds the bundle providing a module id, after applying map and packages like RequireJS's nameToUrl
+ *
+ * @param  {Object} context - RequireJS context
+ * @param  {Map} bundles - The bundle ids keyed by module id
+ * @param  {String} moduleId
+ * @param  {Object} [parentMap] - Module map of the requesting module
+ * @return {String|undefined} The bundle id, if any
+ */
+function bundleOf(context, bundles, moduleId, parentMap) {
+  if (bundles.size === 0) return;
+
+  const mapped = context.makeModuleMap(splitExtension(moduleId).name, parentMap, false, true).name;
+
+  return bundles.get(Object.hasOwn(context.config.pkgs, mapped) ? context.config.pkgs[mapped] : mapped);
+}
+
+/**
+ * Describes the rules RequireJS applies to a module id: the map entry, the paths entry and the package
+ *
+ * @param  {Object} context - RequireJS context
+ * @param  {String} moduleId
+ * @param  {Object} [parentMap] - Module map of the requesting module
+ * @return {{normalizedId: String, baseUrl: String, map: Object, paths: Object, package: String}}
+ */
+function describeNormalization(context, moduleId, parentMap) {
+  const { baseUrl, paths, pkgs } = context.config;
+  const { name, ext } = splitExtension(moduleId);
+  const unmapped = context.makeModuleMap(name, parentMap, false, false).name;
+  const mapped = context.makeModuleMap(name, parentMap, false, true).name;
+  const parts = mapped.split('/');
+  const description = {
+    normalizedId: mapped + ext,
+    baseUrl,
+    map: unmapped === mapped ? undefined : { from: unmapped, to: mapped },
+    paths: undefined,
+    package: undefined
+  };
+
+  for (let i = parts.length; i > 0; i--) {
+    const prefix = parts.slice(0, i).join('/');
+
+    if (Object.hasOwn(paths, prefix)) {
+      description.paths = { prefix, target: paths[prefix] };
+      description.package = Object.hasOwn(pkgs, prefix) ? prefix : undefined;
+      break;
+    }
+  }
+
+  return description;
+}
+
+/**
+ * Splits the extension off a module id the way RequireJS's toUrl does,
+ * leaving the dots of relative ids alone
  *
- * @param  {String} partial - Dependency path, optionally prefixed with a loader
- * @return {String} Dependency path without the loader prefix
+ * @param  {String} moduleId
+ * @return {{name: String, ext: String}}
  */
-function stripLoader(partial) {
-  const exclamationLocation = partial.indexOf('!');
+function splitExtension(moduleId) {
+  const segment = moduleId.split('/')[0];
+  const isRelative = segment === '.' || segment === '..';
+  const index = moduleId.lastIndexOf('.');
 
-  if (exclamationLocation !== -1) {
-    debug(`stripping off the plugin loader from ${partial}`);
-    partial = partial.slice(exclamationLocation + 1);
-    debug(`partial is now ${partial}`);
+  if (index !== -1 && (!isRelative || index > 1)) {
+    return { name: moduleId.slice(0, index), ext: moduleId.slice(index) };
   }
 
-  return partial;
+  return { name: moduleId, ext: '' };
+}
+
+/**
+ * Applies map and packages to a module id, as RequireJS does before looking up its shim and bundle
+ *
+ * @param  {Object} context - RequireJS context
+ * @param  {String} moduleId
+ * @param  {String} [parentId] - The id of the requesting module
+ * @return {String} The module id, without its extension
+ */
+function mappedName(context, moduleId, parentId) {
+  const parentMap = parentId ? context.makeModuleMap(parentId) : undefined;
+
+  return context.makeModuleMap(splitExtension(moduleId).name, parentMap, false, true).name;
+}
+
+/**
+ * Whether the url points at another host (e.g. `//cdn.example.com/jquery` or `https://...`)
+ *
+ * @param  {String} url
+ * @return {Boolean}
+ */
+function isRemote(url) {
+  return /^([\w+.-]+:)?\/\//.test(url);
 }
@@ -0,0 +1,90 @@
+import path from 'node:path';
+
+// Sections that RequireJS merges key by key, recursively, when configured several times
+const deepMergedSections = new Set(['paths', 'bundles', 'config', 'map']);
+
+/**
+ * Merges configs in order, the way RequireJS merges successive require.config() calls
+ * (and r.js a build profile over its mainConfigFile):
+ * `paths`, `bundles`, `config` and `map` are merged recursively, `shim` entries replace each other by module id,
+ * `packages` replace each other by name, and any other setting is replaced
+ *
+ * @param  {Object[]} configs
+ * @return {Object} A new config
+ */
+export function mergeConfigs(configs) {
+  const merged = {};
+
+  for (const config of configs) {
+    for (const [key, value] of Object.entries(config || {})) {
+      if (deepMergedSections.has(key)) {
+        merged[key] = deepMerge(merged[key], value);
+      } else if (key === 'shim') {
+        merged.shim = { ...merged.shim, ...value };
+      } else if (key === 'packages') {
+        merged.packages = mergePackages(merged.packages, value);
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Makes the baseUrl of a config read from one directory relative to another
+ *
+ * @param  {Object} config
+ * @param  {String} from - The directory the baseUrl is relative to
+ * @param  {String} to - The directory the baseUrl should be relative to
+ * @return {Object} The config with the new baseUrl, or the config itself when it has no baseUrl
+ */
+export function rebaseConfig(config, from, to) {
+  const { baseUrl } = config;
+
+  if (!baseUrl || path.resolve(from) === path.resolve(to) || baseUrl[0] === '/' || /^[\w+.-]+:/.test(baseUrl)) {
+    return config;
+  }
+
+  const relative = path.relative(to, path.resolve(from, baseUrl)).replaceAll(path.sep, '/');
+
+  return { ...config, baseUrl: relative ? `${relative}/` : './' };
+}
+
+/**
+ * @param  {*} target
+ * @param  {*} source
+ * @return {*} Plain objects are merged recursively, anything else (arrays included) replaces the target
+ */
+function deepMerge(target, source) {
+  if (!isPlainObject(target) || !isPlainObject(source)) return source;
+
+  const merged = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] = deepMerge(merged[key], value);
+  }
+
+  return merged;
+}
+
+/**
+ * @param  {Array} [target]
+ * @param  {Array} source - Packages given as names or as `{ name, location, main }` objects
+ * @return {Array}
+ */
+function mergePackages(target = [], source = []) {
+  const packageName = entry => typeof entry === 'string' ? entry : entry.name;
+  const names = new Set(source.map(entry => packageName(entry)));
+
+  return [...target.filter(entry => !names.has(packageName(entry))), ...source];
+}
+
+/**
+ * @param  {*} value
+ * @return {Boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
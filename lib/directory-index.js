@@ -0,0 +1,142 @@
+import path from 'node:path';
+import { debuglog } from 'node:util';
+import { forgetDiscoveredConfigs } from './discover-config.js';
+import { readdir, stat } from './file-system.js';
+
+const debug = debuglog('module-lookup-amd');
+
+/**
+ * Creates an index of directory listings that lookups can share
+ *
+ * Every directory is listed at most once, and a missing directory is remembered as missing.
+ * Whether a file exists is answered from the listing of its directory: only the files listed
+ * are stat'ed, once, to tell them from directories. The index does not watch the filesystem,
+ * so changes have to be reported with invalidate().
+ *
+ * Like every filesystem step, list and isFile yield their operations (see lib/file-system.js),
+ * so an index serves the synchronous and asynchronous APIs alike. It should only be shared by
+ * lookups using the same fileSystem.
+ *
+ * The index also keeps the config discovered for every directory (see discoverConfig in lib/discover-config.js),
+ * so that the lookups sharing it discover each location once.
+ *
+ * @return {{list: Function, isFile: Function, invalidate: Function, clear: Function, configLocations: Map}}
+ */
+export function createDirectoryIndex() {
+  // The entries of every directory listed, or the error listing it
+  const listings = new Map();
+  // Whether each path stat'ed is a file
+  const fileKinds = new Map();
+  // The config file discovered for every directory, or an empty string when it has none
+  const configLocations = new Map();
+
+  /**
+   * @param  {String} dir
+   * @return {Generator} Returns the names of the directory entries
+   */
+  function * list(dir) {
+    const key = path.resolve(dir);
+
+    if (!listings.has(key)) {
+      try {
+        listings.set(key, { files: yield * readdir(dir) });
+      } catch(error) {
+        // Other errors (e.g. EACCES) may not last, so they are not remembered
+        if (!isMissing(error)) throw error;
+
+        listings.set(key, { error });
+      }
+    }
+
+    const { files, error } = listings.get(key);
+
+    if (error) throw error;
+
+    return files;
+  }
+
+  /**
+   * @param  {String} filepath
+   * @return {Generator} Returns whether a file exists at the given path
+   */
+  function * isFile(filepath) {
+    const key = path.resolve(filepath);
+    const name = path.basename(key);
+    let files;
+
+    try {
+      files = yield * list(path.dirname(filepath));
+    } catch(error) {
+      if (isMissing(error)) return false;
+
+      debug(`could not list the directory of ${filepath}: ${error.message}`);
+      // A directory that cannot be listed can still give access to its files
+      return (yield * stat(filepath)).isFile();
+    }
+
+    // Case-insensitive filesystems find the files that the listing spells differently
+    if (!files.some(file => file === name || file.toLowerCase() === name.toLowerCase())) return false;
+
+    if (!fileKinds.has(key)) {
+      try {
+        fileKinds.set(key, (yield * stat(filepath)).isFile());
+      } catch(error) {
+        if (!isMissing(error)) throw error;
+
+        fileKinds.set(key, false);
+      }
+    }
+
+    return fileKinds.get(key);
+  }
+
+  /**
+   * Forgets what is known about a changed path: its listing when it is a directory,
+   * the listing of the directory containing it, and whether it is a file.
+   * A change to a file that can hold a config forgets the discovered config locations.
+   *
+   * @param  {String} filepath
+   */
+  function invalidate(filepath) {
+    const target = path.resolve(filepath);
+
+    forgetDiscoveredConfigs(target, configLocations);
+
+    for (const dir of [target, path.dirname(target)]) {
+      if (listings.delete(dir)) {
+        debug(`invalidating directory listing of ${dir}`);
+      }
+    }
+
+    for (const file of fileKinds.keys()) {
+      if (file === target || path.dirname(file) === target) {
+        fileKinds.delete(file);
+      }
+    }
+  }
+
+  /**
+   * Forgets every listing and config location
+   */
+  function clear() {
+    listings.clear();
+    fileKinds.clear();
+    configLocations.clear();
+  }
+
+  return {
+    list,
+    isFile,
+    invalidate,
+    clear,
+    configLocations
+  };
+}
+
+/**
+ * @param  {Error} error
+ * @return {Boolean} Whether the error says that the path does not exist
+ */
+function isMissing(error) {
+  return error.code === 'ENOENT' || error.code === 'ENOTDIR';
+}
@@ -0,0 +1,125 @@
+import path from 'node:path';
+import { debuglog } from 'node:util';
+import { readdir, readFile } from './file-system.js';
+
+const debug = debuglog('module-lookup-amd');
+
+// Conventional names of the file holding the config, checked in order
+const configFileNames = ['require-config.js', 'config.js', 'main.js'];
+
+const configCall = /\brequire(?:js)?\.config\s*\(|\b(?:var|let|const)\s+require\s*=/;
+const dataMainAttribute = /<script\b[^>]*\bdata-main\s*=\s*["']([^"']+)["']/i;
+
+/**
+ * Looks for the RequireJS config that applies to the files of a directory, walking up from it
+ *
+ * In every directory, `require-config.js`, `config.js` and `main.js` are candidates,
+ * as is the data-main script of an `index.html`. A candidate only matches when it calls
+ * `require.config()` or `requirejs.config()`, or declares a `require` object.
+ *
+ * @param  {String} dir - Absolute path of the directory to start from
+ * @param  {Map} cache - The config found for every directory visited, kept across calls
+ * @return {Generator} Returns the path of the config file, or an empty string if none was found
+ */
+export function * discoverConfig(dir, cache) {
+  const visited = [];
+  let configFile = '';
+  let current = dir;
+
+  while (true) {
+    if (cache.has(current)) {
+      configFile = cache.get(current);
+      break;
+    }
+
+    visited.push(current);
+    configFile = yield * configFileIn(current);
+
+    if (configFile) break;
+
+    const parent = path.dirname(current);
+
+    if (parent === current) break;
+
+    current = parent;
+  }
+
+  debug(`discovered config for ${dir}: ${configFile || 'none'}`);
+
+  for (const visitedDir of visited) {
+    cache.set(visitedDir, configFile);
+  }
+
+  return configFile;
+}
+
+/**
+ * Forgets every discovered location when a file that could hold a config changes,
+ * since it can change the config of any directory below its own
+ *
+ * @param  {String} filepath - Absolute path of the changed file
+ * @param  {Map} cache - The cache given to discoverConfig
+ * @return {Boolean} Whether the cache was cleared
+ */
+export function forgetDiscoveredConfigs(filepath, cache) {
+  const name = path.basename(filepath);
+
+  if (!configFileNames.includes(name) && name !== 'index.html' && ![...cache.values()].includes(filepath)) {
+    return false;
+  }
+
+  cache.clear();
+  return true;
+}
+
+/**
+ * @param  {String} dir
+ * @return {Generator} Returns the config file of the directory, or an empty string
+ */
+function * configFileIn(dir) {
+  let files;
+
+  try {
+    files = yield * readdir(dir);
+  } catch(error) {
+    debug(`could not list ${dir} while looking for a config: ${error.message}`);
+    return '';
+  }
+
+  for (const name of configFileNames) {
+    if (files.includes(name) && (yield * isConfigFile(path.join(dir, name)))) {
+      return path.join(dir, name);
+    }
+  }
+
+  if (!files.includes('index.html')) return '';
+
+  const [, dataMain] = dataMainAttribute.exec(yield * readOrEmpty(path.join(dir, 'index.html'))) || [];
+
+  if (!dataMain) return '';
+
+  const dataMainFile = path.join(dir, dataMain.endsWith('.js') ? dataMain : `${dataMain}.js`);
+
+  return (yield * isConfigFile(dataMainFile)) ? dataMainFile : '';
+}
+
+/**
+ * @param  {String} filepath
+ * @return {Generator} Returns whether the file holds a RequireJS config
+ */
+function * isConfigFile(filepath) {
+  return configCall.test(yield * readOrEmpty(filepath));
+}
+
+/**
+ * @param  {String} filepath
+ * @return {Generator} Returns the contents of the file, or an empty string when it cannot be read
+ */
+function * readOrEmpty(filepath) {
+  try {
+    return yield * readFile(filepath);
+  } catch(error) {
+    debug(`could not read ${filepath} while looking for a config: ${error.message}`);
+    return '';
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Base class of the errors thrown by lookup
+ *
+ * @property {String} code - Identifies the kind of failure
+ * @property {String} [partial] - The dependency being looked up
+ * @property {Object[]} candidates - The files checked, with their outcome
+ */
+export class LookupError extends Error {
+  /**
+   * @param  {String} message
+   * @param  {Object} [details]
+   * @param  {String} [details.partial]
+   * @param  {Object[]} [details.candidates]
+   * @param  {Error} [details.cause]
+   */
+  constructor(message, { partial, candidates = [], cause } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.partial = partial;
+    this.candidates = candidates;
+  }
+}
+
+/**
+ * No file was found for the dependency
+ */
+export class ModuleNotFoundError extends LookupError {
+  code = 'MODULE_NOT_FOUND';
+}
+
+/**
+ * The dependency is served from a remote url (e.g. a CDN) that no mirror maps to a local file
+ *
+ * @property {String} url - The remote url
+ */
+export class ExternalModuleError extends LookupError {
+  code = 'EXTERNAL_MODULE';
+
+  /**
+   * @param  {String} message
+   * @param  {Object} [details] - As for LookupError, plus the `url`
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.url = details.url;
+  }
+}
+
+/**
+ * The config file could not be read or parsed
+ */
+export class ConfigUnreadableError extends LookupError {
+  code = 'CONFIG_UNREADABLE';
+}
+
+/**
+ * The configPath does not exist
+ */
+export class ConfigPathMissingError extends LookupError {
+  code = 'CONFIG_PATH_MISSING';
+}
+
+/**
+ * Several files match the dependency and none of them is preferred
+ */
+export class AmbiguousMatchError extends LookupError {
+  code = 'AMBIGUOUS_MATCH';
+}
+
+/**
+ * The file found is spelled with a different case on disk, which only case-insensitive filesystems allow
+ *
+ * @property {String} correctPath - The path of the file as the directory listings spell it
+ */
+export class CaseMismatchError extends LookupError {
+  code = 'CASE_MISMATCH';
+
+  /**
+   * @param  {String} message
+   * @param  {Object} [details] - As for LookupError, plus the `correctPath`
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.correctPath = details.correctPath;
+  }
+}
+
+/**
+ * A file or directory could not be read (e.g. EACCES)
+ */
+export class FileSystemError extends LookupError {
+  code = 'FILE_SYSTEM_ERROR';
+}
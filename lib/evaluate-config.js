@@ -0,0 +1,80 @@
+import vm from 'node:vm';
+import { mergeConfigs } from './config.js';
+
+// Defines the globals of the sandbox. It is run in the sandbox, so that none of its functions comes from the host
+// (whose Function constructor would compile code outside of the sandbox), along with the function serializing the result
+// and the slot the host puts the completion value in. Both are fixed data properties, so that the config cannot turn them
+// into accessors running its code outside of the timeout.
+const setup = `(function(global) {
+  var configs = [];
+  var stub = function() {};
+  var define = function() {};
+  var isObject = function(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  };
+
+  stub.config = function(config) {
+    configs.push(config);
+  };
+  define.amd = {};
+
+  global.window = global;
+  global.self = global;
+  global.require = stub;
+  global.requirejs = stub;
+  global.define = define;
+
+  Object.defineProperty(global, '__moduleLookupAmdSerialize', {
+    value: function(completion) {
+      if (configs.length > 0) return JSON.stringify({ configs: configs });
+
+      // The var require = {...} form replaces the stub
+      if (global.require !== stub && isObject(global.require)) return JSON.stringify({ configs: [global.require] });
+
+      return JSON.stringify({ profile: isObject(completion) ? completion : undefined });
+    }
+  });
+  Object.defineProperty(global, '__moduleLookupAmdCompletion', { value: undefined, writable: true });
+})(this)`;
+
+/**
+ * Runs a config file in a `node:vm` sandbox and captures the config it sets
+ *
+ * The globals of the sandbox are created inside it, and its global object has no prototype from the host:
+ * it has none of the host's globals (no `process`, `require` or `import`), cannot compile code from strings,
+ * and is stopped after the timeout. `require.config()`, `requirejs.config()` and `define()`
+ * are stubbed, and calls to `require()` do nothing. The config is serialized to JSON inside the sandbox, under the same timeout,
+ * so only JSON values are captured. This keeps the config from touching the host,
+ * but node:vm is not a security boundary: only evaluate configs you would run in a browser.
+ *
+ * @param  {String} filepath
+ * @param  {String} contents
+ * @param  {Object} [options]
+ * @param  {Number} [options.timeout] - Milliseconds the evaluation may take (defaults to 1000)
+ * @return {{config: Object|undefined, profile: Object|undefined}} The config set with `require.config()`
+ *         (every call merged in order) or with a global `require` object, otherwise the object literal
+ *         the file evaluates to, which is how r.js build profiles are written
+ */
+export function evaluateConfig(filepath, contents, { timeout = 1000 } = {}) {
+  // Without a prototype, the global object leads to no host object: through the prototype of a plain object,
+  // this.constructor.constructor would be the Function constructor of the host
+  const sandbox = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  vm.runInContext(setup, sandbox);
+
+  // The completion value belongs to the sandbox, so handing it back exposes nothing of the host
+  sandbox.__moduleLookupAmdCompletion = vm.runInContext(contents, sandbox, { filename: filepath, timeout });
+
+  const json = vm.runInContext('__moduleLookupAmdSerialize(__moduleLookupAmdCompletion)', sandbox, { timeout });
+
+  if (typeof json !== 'string') {
+    throw new TypeError(`The config set by ${filepath} cannot be serialized`);
+  }
+
+  const { configs, profile } = JSON.parse(json);
+
+  return configs ? { config: mergeConfigs(configs) } : { profile };
+}
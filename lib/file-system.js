@@ -0,0 +1,92 @@
+/**
+ * Filesystem operations are yielded by the resolution steps instead of being
+ * called directly, so that the same steps can run against a synchronous `fs`
+ * (runSync) or a promise-based `fs.promises` (runAsync) implementation.
+ */
+
+/**
+ * @param  {String} filepath
+ * @return {Generator} Yields a stat operation, returns the stats
+ */
+export function * stat(filepath) {
+  return yield { method: 'stat', args: [filepath] };
+}
+
+/**
+ * @param  {String} dir
+ * @return {Generator} Yields a readdir operation, returns the directory entries
+ */
+export function * readdir(dir) {
+  return yield { method: 'readdir', args: [dir] };
+}
+
+/**
+ * @param  {String} filepath
+ * @return {Generator} Yields a readFile operation, returns the file contents
+ */
+export function * readFile(filepath) {
+  return yield { method: 'readFile', args: [filepath, 'utf8'] };
+}
+
+/**
+ * @param  {String} filepath
+ * @return {Generator} Yields a realpath operation, returns the path with every symlink followed
+ */
+export function * realpath(filepath) {
+  return yield { method: 'realpath', args: [filepath] };
+}
+
+/**
+ * Runs the given steps, performing each yielded operation with the `*Sync` methods of the fileSystem
+ *
+ * @param  {Generator} steps
+ * @param  {Object} fileSystem - fs-compatible implementation
+ * @return {*} The return value of the steps
+ */
+export function runSync(steps, fileSystem) {
+  let step = steps.next();
+
+  while (!step.done) {
+    const { method, args } = step.value;
+    let result;
+
+    try {
+      result = fileSystem[`${method}Sync`](...args);
+    } catch(error) {
+      step = steps.throw(error);
+      continue;
+    }
+
+    step = steps.next(result);
+  }
+
+  return step.value;
+}
+
+/**
+ * Runs the given steps, awaiting each yielded operation on the promise-based methods of the fileSystem
+ *
+ * @param  {Generator} steps
+ * @param  {Object} fileSystem - fs.promises-compatible implementation, or an fs implementation exposing `promises`
+ * @return {Promise<*>} The return value of the steps
+ */
+export async function runAsync(steps, fileSystem) {
+  const promises = fileSystem.promises || fileSystem;
+
+  async function advance(step) {
+    if (step.done) return step.value;
+
+    const { method, args } = step.value;
+    let result;
+
+    try {
+      result = await promises[method](...args);
+    } catch(error) {
+      return advance(steps.throw(error));
+    }
+
+    return advance(steps.next(result));
+  }
+
+  return advance(steps.next());
+}
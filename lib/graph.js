@@ -0,0 +1,171 @@
+import path from 'node:path';
+import process from 'node:process';
+
+/**
+ * Finds the groups of files that depend on each other, directly or indirectly
+ * (the strongly connected components of the graph, using Tarjan's algorithm)
+ *
+ * @param  {String[]} nodes
+ * @param  {Object[]} edges - `{ from, to }` pairs
+ * @return {String[][]} The files of every cycle, sorted
+ */
+export function findCycles(nodes, edges) {
+  const dependencies = adjacency(nodes, edges);
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  function open(node) {
+    indexes.set(node, indexes.size);
+    lowLinks.set(node, indexes.get(node));
+    stack.push(node);
+    onStack.add(node);
+
+    return { node, pending: dependencies.get(node).values() };
+  }
+
+  function close(node) {
+    if (lowLinks.get(node) !== indexes.get(node)) return;
+
+    const component = [];
+    let member;
+
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== node);
+
+    if (component.length > 1 || dependencies.get(node).has(node)) {
+      cycles.push(component.toSorted());
+    }
+  }
+
+  // The depth-first search keeps its own stack of the files being visited,
+  // so that long chains of dependencies cannot overflow the call stack
+  function visit(root) {
+    const visiting = [open(root)];
+
+    while (visiting.length > 0) {
+      const { node, pending } = visiting.at(-1);
+      const { value: dependency, done } = pending.next();
+
+      if (done) {
+        visiting.pop();
+        close(node);
+
+        const parent = visiting.at(-1);
+
+        if (parent) lowLinks.set(parent.node, Math.min(lowLinks.get(parent.node), lowLinks.get(node)));
+      } else if (!indexes.has(dependency)) {
+        visiting.push(open(dependency));
+      } else if (onStack.has(dependency)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(dependency)));
+      }
+    }
+  }
+
+  for (const node of nodes) {
+    if (!indexes.has(node)) visit(node);
+  }
+
+  return cycles.toSorted((a, b) => a[0].localeCompare(b[0]));
+}
+
+/**
+ * Lists the files that cannot be reached by following the dependencies of the entries,
+ * or when there are no entries, the files that no other file depends on
+ *
+ * @param  {String[]} nodes
+ * @param  {Object[]} edges - `{ from, to }` pairs
+ * @param  {String[]} entries
+ * @return {String[]}
+ */
+export function findOrphans(nodes, edges, entries) {
+  if (entries.length === 0) {
+    const dependedOn = new Set(edges.filter(({ from, to }) => from !== to).map(({ to }) => to));
+
+    return nodes.filter(node => !dependedOn.has(node));
+  }
+
+  const dependencies = adjacency(nodes, edges);
+  const reached = new Set(entries);
+
+  for (const node of reached) {
+    for (const dependency of dependencies.get(node)) {
+      reached.add(dependency);
+    }
+  }
+
+  return nodes.filter(node => !reached.has(node));
+}
+
+/**
+ * Renders a dependency graph in the Graphviz DOT language
+ *
+ * Edges are labelled with the dependency string, and dashed for the deps of shimmed modules. Unresolved dependencies are drawn as red dashed boxes,
+ * and the remote urls of external dependencies as dotted ellipses.
+ *
+ * @param  {Object} graph - The result of buildGraph
+ * @param  {Object} [options]
+ * @param  {String} [options.root] - Files are labelled relative to this directory (defaults to the working directory)
+ * @return {String}
+ */
+export function graphToDot(graph, options = {}) {
+  const root = options.root || process.cwd();
+  const label = file => path.relative(root, file).replaceAll(path.sep, '/') || file;
+  const lines = ['digraph dependencies {', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${quote(node)} [label=${quote(label(node))}];`);
+  }
+
+  for (const { from, to, partial, shim } of graph.edges) {
+    lines.push(`  ${quote(from)} -> ${quote(to)} [label=${quote(partial)}${shim ? ', style=dashed' : ''}];`);
+  }
+
+  for (const { from, partial } of graph.unresolved) {
+    const missing = `unresolved:${partial}`;
+
+    lines.push(
+      `  ${quote(missing)} [label=${quote(partial)}, color=red, style=dashed];`,
+      `  ${quote(from)} -> ${quote(missing)} [color=red, style=dashed];`
+    );
+  }
+
+  for (const { from, url } of graph.externals || []) {
+    lines.push(
+      `  ${quote(url)} [shape=ellipse, style=dotted];`,
+      `  ${quote(from)} -> ${quote(url)} [style=dotted];`
+    );
+  }
+
+  lines.push('}');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param  {String[]} nodes
+ * @param  {Object[]} edges
+ * @return {Map<String, Set<String>>} The dependencies of every node
+ */
+function adjacency(nodes, edges) {
+  const dependencies = new Map(nodes.map(node => [node, new Set()]));
+
+  for (const { from, to } of edges) {
+    dependencies.get(from).add(to);
+  }
+
+  return dependencies;
+}
+
+/**
+ * @param  {String} id
+ * @return {String} A quoted DOT identifier
+ */
+function quote(id) {
+  return `"${id.replaceAll('\\', '\\\\').replaceAll('"', String.raw`\"`)}"`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Handlers for common RequireJS loader plugins, keyed by plugin name
+ *
+ * A handler receives the resource id (what follows the `!`) and returns the
+ * module id to look up, or an array of module ids to try in order.
+ * Plugins without a handler look up the resource id as is.
+ */
+export const builtinPlugins = {
+  text: resourceId => resourceId,
+  css: resourceId => withExtension(resourceId, '.css'),
+  json: resourceId => withExtension(resourceId, '.json'),
+  i18n: i18nBundles
+};
+
+/**
+ * Splits the loader plugin off a dependency path (e.g. `text!foo` -> `text` and `foo`)
+ *
+ * @param  {String} partial - Dependency path, optionally prefixed with a loader
+ * @return {{plugin: String, resourceId: String}} The plugin is empty when there is none
+ */
+export function splitLoader(partial) {
+  const exclamationLocation = partial.indexOf('!');
+
+  if (exclamationLocation === -1) {
+    return { plugin: '', resourceId: partial };
+  }
+
+  return {
+    plugin: partial.slice(0, exclamationLocation),
+    resourceId: partial.slice(exclamationLocation + 1)
+  };
+}
+
+/**
+ * @param  {String} resourceId
+ * @param  {String} ext
+ * @return {String}
+ */
+function withExtension(resourceId, ext) {
+  return resourceId.endsWith(ext) ? resourceId : `${resourceId}${ext}`;
+}
+
+/**
+ * Lists the bundles the i18n plugin would load for the locale, from the most specific
+ * to the root bundle (e.g. `nls/fr-fr/strings`, `nls/fr/strings`, `nls/strings`)
+ *
+ * The locale comes from the `locale` option, or else from the `config.i18n.locale` section of the RequireJS config
+ *
+ * @param  {String} resourceId
+ * @param  {Object} context
+ * @param  {Object} context.config - RequireJS config
+ * @param  {Object} context.options - Lookup options
+ * @return {String[]}
+ */
+function i18nBundles(resourceId, { config, options }) {
+  const match = /^(.*(?:^|\/)nls\/)([^/]+)$/.exec(resourceId);
+  const locale = options.locale || config.config?.i18n?.locale;
+
+  if (!match || !locale) return [resourceId];
+
+  const [, prefix, bundle] = match;
+  const parts = locale.toLowerCase().split('-');
+  const bundles = parts.map((part, i) => `${prefix}${parts.slice(0, parts.length - i).join('-')}/${bundle}`);
+
+  return [...bundles, resourceId];
+}
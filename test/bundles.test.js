@@ -0,0 +1,105 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, { explain, ModuleNotFoundError } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/bundles/js');
+const filename = path.join(directory, '/app.js');
+const config = path.join(__dirname, '/fixtures/bundles/config.js');
+const core = path.join(directory, 'layer/core.js');
+
+describe('bundles', () => {
+  describe('in bundle mode (default)', () => {
+    it('resolves a bundled module to its bundle', () => {
+      expect(path.normalize(lookup({ config, partial: 'util', filename }))).toBe(core);
+    });
+
+    it('resolves bundled modules reached through paths and packages to their bundle', () => {
+      expect(path.normalize(lookup({ config, partial: 'events', filename }))).toBe(core);
+      expect(path.normalize(lookup({ config, partial: 'widgets', filename }))).toBe(core);
+    });
+
+    it('leaves modules outside of the bundles alone', () => {
+      expect(path.normalize(lookup({ config, partial: 'app', filename }))).toBe(filename);
+    });
+
+    it('reports the bundle when detailed', () => {
+      const actual = explain({ config, partial: 'dom', filename });
+
+      expect(actual.bundle).toEqual({ id: 'layer/core', path: expect.any(String) });
+      expect(path.normalize(actual.bundle.path)).toBe(core);
+      expect(actual.attempts[0].bundleId).toBe('layer/core');
+    });
+
+    it('does not fall back to the source file when the bundle is missing', () => {
+      const actual = explain({ config, partial: 'legacy', filename });
+
+      expect(actual.path).toBe('');
+      expect(actual.bundle).toEqual({ id: 'layer/missing', path: '' });
+      expect(() => lookup({
+        config,
+        partial: 'legacy',
+        filename,
+        strict: true
+      })).toThrow(ModuleNotFoundError);
+    });
+  });
+
+  describe('in source mode', () => {
+    const bundleMode = 'source';
+
+    it('resolves a bundled module to its own file', () => {
+      expect(path.normalize(lookup({
+        config,
+        partial: 'util',
+        filename,
+        bundleMode
+      }))).toBe(path.join(directory, 'util.js'));
+    });
+
+    it('applies paths and packages to bundled modules', () => {
+      expect(path.normalize(lookup({
+        config,
+        partial: 'widgets',
+        filename,
+        bundleMode
+      }))).toBe(path.join(directory, 'lib/widgets/main.js'));
+    });
+
+    it('reports the containing bundle when detailed', () => {
+      const actual = explain({
+        config,
+        partial: 'events',
+        filename,
+        bundleMode
+      });
+
+      expect(path.normalize(actual.path)).toBe(path.join(directory, 'lib/events.js'));
+      expect(actual.bundle.id).toBe('layer/core');
+      expect(path.normalize(actual.bundle.path)).toBe(core);
+    });
+
+    it('reports a missing bundle with an empty path', () => {
+      const actual = explain({
+        config,
+        partial: 'legacy',
+        filename,
+        bundleMode
+      });
+
+      expect(path.normalize(actual.path)).toBe(path.join(directory, 'legacy.js'));
+      expect(actual.bundle).toEqual({ id: 'layer/missing', path: '' });
+    });
+
+    it('has no bundle for modules outside of the bundles', () => {
+      expect(explain({
+        config,
+        partial: 'app',
+        filename,
+        bundleMode
+      }).bundle).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, { CaseMismatchError, explain } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/casing/js');
+const filename = path.join(directory, 'app.js');
+const correctPath = path.join(directory, 'views/userList.js');
+
+// Finds files whatever the case of their path, like the default filesystems of macOS and Windows
+function caseInsensitiveFs() {
+  const realPath = filepath => {
+    let real = path.parse(path.resolve(filepath)).root;
+
+    for (const segment of path.resolve(filepath).split(path.sep).filter(Boolean)) {
+      const files = fs.statSync(real).isDirectory() ? fs.readdirSync(real) : [];
+
+      real = path.join(real, files.find(name => name.toLowerCase() === segment.toLowerCase()) || segment);
+    }
+
+    return real;
+  };
+
+  return {
+    statSync: filepath => fs.statSync(realPath(filepath)),
+    readdirSync: dir => fs.readdirSync(realPath(dir)),
+    readFileSync: (filepath, ...args) => fs.readFileSync(realPath(filepath), ...args)
+  };
+}
+
+const options = {
+  directory,
+  filename,
+  fileSystem: caseInsensitiveFs()
+};
+
+describe('caseSensitive', () => {
+  it('finds miscased files on case-insensitive filesystems by default', () => {
+    expect(path.normalize(lookup({ ...options, partial: 'Views/userList' }))).toBe(path.join(directory, 'Views/userList.js'));
+  });
+
+  it('warns about a miscased directory, with the correctly cased path', () => {
+    const actual = explain({ ...options, partial: 'Views/userList', caseSensitive: 'warn' });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'Views/userList.js'));
+    expect(actual.correctPath).toBe(correctPath);
+    expect(actual.warnings).toEqual([expect.stringContaining(correctPath)]);
+  });
+
+  it('warns about a miscased file name without an extension', () => {
+    const actual = explain({ ...options, partial: 'views/UserList', caseSensitive: 'warn' });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'views/UserList.js'));
+    expect(actual.correctPath).toBe(correctPath);
+    expect(actual.warnings).toEqual([expect.stringContaining(correctPath)]);
+  });
+
+  it('throws a CaseMismatchError for a miscased file name without an extension in error mode', () => {
+    expect(() => lookup({ ...options, partial: 'views/UserList', caseSensitive: 'error' })).toThrow(CaseMismatchError);
+  });
+
+  it('warns about a miscased file name', () => {
+    expect(explain({ ...options, partial: 'views/UserList.js', caseSensitive: 'warn' }).correctPath).toBe(correctPath);
+  });
+
+  it('throws a CaseMismatchError in error mode', () => {
+    let error;
+
+    try {
+      lookup({ ...options, partial: 'VIEWS/userList', caseSensitive: 'error' });
+    } catch(error_) {
+      error = error_;
+    }
+
+    expect(error).toBeInstanceOf(CaseMismatchError);
+    expect(error.code).toBe('CASE_MISMATCH');
+    expect(error.partial).toBe('VIEWS/userList');
+    expect(error.correctPath).toBe(correctPath);
+  });
+
+  it('accepts correctly cased paths', () => {
+    const actual = explain({ ...options, partial: 'views/userList', caseSensitive: 'error' });
+
+    expect(path.normalize(actual.path)).toBe(correctPath);
+    expect(actual.correctPath).toBeUndefined();
+    expect(actual.warnings).toEqual([]);
+  });
+
+  it('checks relative dependencies', () => {
+    expect(explain({
+      ...options,
+      partial: './views/userlist.js',
+      caseSensitive: 'warn'
+    }).correctPath).toBe(correctPath);
+  });
+});
@@ -7,6 +7,16 @@ import { describe, it, expect } from 'vitest';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const cliPath = path.resolve(__dirname, '..', 'bin', 'cli.js');
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/config.json');
+
+function run(args, input) {
+  return spawnSync(process.execPath, [cliPath, ...args], {
+    encoding: 'utf8',
+    input
+  });
+}
 
 describe('cli', () => {
   it('prints error and exits 1 when path argument is missing', () => {
@@ -17,4 +27,104 @@ describe('cli', () => {
     expect(result.status).toBe(1);
     expect(result.stderr).toMatch(/error: missing required argument 'path'/);
   });
+
+  it('resolves every partial given as an argument', () => {
+    const result = run(['-c', config, '-f', filename, 'foobar', 'jquery']);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toBe(`${path.join(directory, 'b.js')}\n${path.join(directory, 'vendor/jquery.min.js')}\n`);
+  });
+
+  it('reads the partials from stdin, one per line', () => {
+    const result = run(['-c', config, '-f', filename], 'foobar\n\njquery\n');
+
+    expect(result.status).toBe(0);
+    expect(result.stdout.split('\n')).toEqual([
+      path.join(directory, 'b.js'),
+      path.join(directory, 'vendor/jquery.min.js'),
+      ''
+    ]);
+  });
+
+  it('exits 1 and prints the reason when a partial does not resolve', () => {
+    const result = run(['-c', config, '-f', filename, 'foobar', 'missing']);
+
+    expect(result.status).toBe(1);
+    expect(result.stdout).toBe(`${path.join(directory, 'b.js')}\n\n`);
+    expect(result.stderr).toMatch(/Cannot find module 'missing'/);
+  });
+
+  it('prints error and exits 1 when a relative partial is given without the filename', () => {
+    const result = run(['-c', config, 'foobar', './b']);
+
+    expect(result.status).toBe(1);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toMatch(/error: the relative dependency '\.\/b' needs the requesting file/);
+  });
+
+  it('prints error and exits 1 without the filename, config or directory', () => {
+    const result = run(['foobar']);
+
+    expect(result.status).toBe(1);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toMatch(/error: resolving dependencies needs --filename, --config or --directory/);
+  });
+
+  it('resolves a partial named doctor given on stdin', () => {
+    const result = run(['-c', config, '-f', filename], 'doctor\n');
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toMatch(/Cannot find module 'doctor'/);
+  });
+
+  it('reports the partial, path and error of every entry with --json', () => {
+    const result = run(['-c', config, '-f', filename, '--json', 'foobar', 'missing']);
+
+    expect(result.status).toBe(1);
+    expect(JSON.parse(result.stdout)).toEqual([
+      { partial: 'foobar', path: path.join(directory, 'b.js'), error: null },
+      {
+        partial: 'missing',
+        path: '',
+        error: { code: 'MODULE_NOT_FOUND', message: `Cannot find module 'missing' from ${filename}` }
+      }
+    ]);
+  });
+
+  it('exits 2 when the config cannot be loaded', () => {
+    const result = run(['-c', path.join(__dirname, 'nope.js'), '-f', filename, 'foobar']);
+
+    expect(result.status).toBe(2);
+    expect(result.stderr).toMatch(/Could not read the config/);
+  });
+
+  it('passes the directory to lookup', () => {
+    const result = run(['-d', directory, '-f', filename, 'b']);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toBe(`${path.join(directory, 'b.js')}\n`);
+  });
+
+  it('checks a config with doctor', () => {
+    const result = run(['doctor', '-c', path.join(__dirname, '/fixtures/doctor/config.js')]);
+
+    expect(result.status).toBe(1);
+    expect(result.stdout).toMatch(/^error {3}paths\.gone points at vendor\/deleted/m);
+    expect(result.stdout).toMatch(/^warning paths\.dojo is overridden/m);
+    expect(result.stdout).toMatch(/10 problems \(6 errors, 4 warnings\)\n$/);
+  });
+
+  it('prints the doctor report as JSON and exits 0 when there are no errors', () => {
+    const result = run(['doctor', '--json', '-c', config]);
+
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout)).toEqual({ ok: true, problems: [] });
+  });
+
+  it('prints the url of external modules and does not count them as failures', () => {
+    const result = run(['-c', path.join(__dirname, '/fixtures/cdn.json'), '-f', filename, 'jquery', 'foobar']);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toBe(`//cdn.example.com/jquery\n${path.join(directory, 'b.js')}\n`);
+  });
 });
@@ -0,0 +1,151 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, {
+  createDirectoryIndex,
+  createResolver,
+  lookupAsync
+} from '../index.js';
+import { countingFs } from './helpers/counting-fs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/config.json');
+
+describe('createDirectoryIndex', () => {
+  it('lists each directory only once across lookups', () => {
+    const fileSystem = countingFs();
+    const directoryIndex = createDirectoryIndex();
+
+    for (const partial of ['b', 'c', 'b']) {
+      lookup({
+        config,
+        partial,
+        filename,
+        fileSystem,
+        directoryIndex
+      });
+    }
+
+    expect(fileSystem.calls.readdirSync).toHaveLength(1);
+  });
+
+  it('is shared by resolvers and lookups', () => {
+    const fileSystem = countingFs();
+    const directoryIndex = createDirectoryIndex();
+    const resolver = createResolver({ config, fileSystem, directoryIndex });
+
+    resolver.resolve('b', filename);
+    lookup({
+      config,
+      partial: 'c',
+      filename,
+      fileSystem,
+      directoryIndex
+    });
+
+    expect(fileSystem.calls.readdirSync).toHaveLength(1);
+  });
+
+  it('answers whether a file with an extension exists from the listing', () => {
+    const fileSystem = countingFs();
+    const directoryIndex = createDirectoryIndex();
+    const options = {
+      config,
+      filename,
+      fileSystem,
+      directoryIndex
+    };
+
+    expect(path.normalize(lookup({ ...options, partial: 'b.js' }))).toBe(path.join(directory, 'b.js'));
+    expect(lookup({ ...options, partial: 'missing.js' })).toBe('');
+    expect(path.normalize(lookup({ ...options, partial: 'b.js' }))).toBe(path.join(directory, 'b.js'));
+
+    // Only the file found is stat'ed, once
+    expect(fileSystem.calls.statSync.filter(file => path.dirname(file) === directory)).toEqual([path.join(directory, 'b.js')]);
+  });
+
+  it('remembers missing directories', () => {
+    const fileSystem = countingFs();
+    const directoryIndex = createDirectoryIndex();
+
+    for (let i = 0; i < 2; i++) {
+      lookup({
+        config,
+        partial: 'nowhere/b',
+        filename,
+        fileSystem,
+        directoryIndex
+      });
+    }
+
+    expect(fileSystem.calls.readdirSync).toHaveLength(1);
+  });
+
+  it('lists the directory of an invalidated path again', () => {
+    const fileSystem = countingFs();
+    const directoryIndex = createDirectoryIndex();
+    const options = {
+      config,
+      partial: 'b',
+      filename,
+      fileSystem,
+      directoryIndex
+    };
+
+    lookup(options);
+    directoryIndex.invalidate(path.join(directory, 'b.js'));
+    lookup(options);
+    directoryIndex.invalidate(directory);
+    lookup(options);
+
+    expect(fileSystem.calls.readdirSync).toHaveLength(3);
+  });
+
+  it('is invalidated and cleared by the resolvers using it', () => {
+    const fileSystem = countingFs();
+    const directoryIndex = createDirectoryIndex();
+    const resolver = createResolver({ config, fileSystem, directoryIndex });
+
+    resolver.resolve('b', filename);
+    resolver.invalidate(path.join(directory, 'b.js'));
+    resolver.resolve('b', filename);
+    resolver.clear();
+    resolver.resolve('b', filename);
+
+    expect(fileSystem.calls.readdirSync).toHaveLength(3);
+  });
+
+  it('serves the asynchronous API', async() => {
+    const directoryIndex = createDirectoryIndex();
+    const readdirCalls = [];
+    const fileSystem = {
+      ...fs.promises,
+      readdir(dir) {
+        readdirCalls.push(dir);
+        return fs.promises.readdir(dir);
+      }
+    };
+
+    lookup({
+      config,
+      partial: 'b',
+      filename,
+      directoryIndex
+    });
+
+    const actual = await lookupAsync({
+      config,
+      partial: 'c',
+      filename,
+      fileSystem,
+      directoryIndex
+    });
+
+    expect(path.normalize(actual)).toBe(path.join(directory, 'c.js'));
+    expect(readdirCalls).toEqual([]);
+  });
+});
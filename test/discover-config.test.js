@@ -0,0 +1,146 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, {
+  createDirectoryIndex,
+  createResolver,
+  lookupAsync
+} from '../index.js';
+import { countingFs } from './helpers/counting-fs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const fixtures = path.join(__dirname, '/fixtures/discovery');
+const indexHtml = path.join(fixtures, 'app2/index.html');
+
+describe('discoverConfig', () => {
+  it('finds a conventionally named config above the requesting file', () => {
+    const actual = lookup({
+      partial: 'lib',
+      filename: path.join(fixtures, 'app1/scripts/modules/deep/file.js'),
+      discoverConfig: true
+    });
+
+    expect(actual).toBe(path.join(fixtures, 'app1/scripts/vendor/lib.js'));
+  });
+
+  it('finds the data-main script of an index.html', () => {
+    const actual = lookup({
+      partial: 'util',
+      filename: path.join(fixtures, 'app2/js/app.js'),
+      discoverConfig: true
+    });
+
+    expect(actual).toBe(path.join(fixtures, 'app2/js/helpers/util.js'));
+  });
+
+  it('ignores candidates that do not hold a RequireJS config', () => {
+    const actual = lookup({
+      partial: './b',
+      filename: path.join(fixtures, 'app3/src/a.js'),
+      discoverConfig: true
+    });
+
+    expect(path.normalize(actual)).toBe(path.join(fixtures, 'app3/src/b.js'));
+  });
+
+  it('is opt-in', () => {
+    expect(lookup({
+      partial: 'lib',
+      filename: path.join(fixtures, 'app1/scripts/modules/deep/file.js')
+    })).toBe('');
+  });
+
+  it('prefers the given config', () => {
+    expect(lookup({
+      partial: 'lib',
+      filename: path.join(fixtures, 'app1/scripts/modules/deep/file.js'),
+      config: path.join(fixtures, 'app2/js/boot.js'),
+      discoverConfig: true
+    })).toBe('');
+  });
+
+  it('uses the config of each requesting file', () => {
+    const resolver = createResolver({ discoverConfig: true });
+
+    expect(resolver.resolve('lib', path.join(fixtures, 'app1/scripts/modules/deep/file.js')))
+      .toBe(path.join(fixtures, 'app1/scripts/vendor/lib.js'));
+    expect(resolver.resolve('util', path.join(fixtures, 'app2/js/app.js')))
+      .toBe(path.join(fixtures, 'app2/js/helpers/util.js'));
+    expect(resolver.resolve('util', path.join(fixtures, 'app1/scripts/modules/deep/file.js'))).toBe('');
+  });
+
+  it('caches the discovered location per directory in the resolver', () => {
+    const fileSystem = countingFs();
+    const filename = path.join(fixtures, 'app2/js/app.js');
+    const resolver = createResolver({ fileSystem, discoverConfig: true });
+
+    resolver.resolve('util', filename);
+    resolver.resolve('util', filename);
+
+    expect(fileSystem.calls.readFileSync.filter(file => file === indexHtml)).toHaveLength(1);
+  });
+
+  it('shares the discovered locations across the lookups given the same directoryIndex', () => {
+    const fileSystem = countingFs();
+    const filename = path.join(fixtures, 'app2/js/app.js');
+
+    const options = {
+      partial: 'util',
+      filename,
+      fileSystem,
+      directoryIndex: createDirectoryIndex(),
+      discoverConfig: true
+    };
+
+    lookup(options);
+    lookup(options);
+
+    expect(fileSystem.calls.readFileSync.filter(file => file === indexHtml)).toHaveLength(1);
+  });
+
+  it('finds a config created after a previous lookup', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'module-lookup-amd-discovery-'));
+    const filename = path.join(directory, 'app.js');
+    const options = { partial: 'lib', filename, discoverConfig: true };
+
+    try {
+      fs.writeFileSync(filename, '');
+      fs.writeFileSync(path.join(directory, 'lib.js'), '');
+      fs.mkdirSync(path.join(directory, 'vendor'));
+      fs.writeFileSync(path.join(directory, 'vendor/lib.js'), '');
+
+      expect(path.normalize(lookup(options))).toBe(path.join(directory, 'lib.js'));
+
+      fs.writeFileSync(path.join(directory, 'config.js'), 'require.config({ paths: { lib: \'vendor/lib\' } });');
+
+      expect(path.normalize(lookup(options))).toBe(path.join(directory, 'vendor/lib.js'));
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('discovers the config again after a candidate changes', () => {
+    const fileSystem = countingFs();
+    const filename = path.join(fixtures, 'app2/js/app.js');
+    const resolver = createResolver({ fileSystem, discoverConfig: true });
+
+    resolver.resolve('util', filename);
+    resolver.invalidate(indexHtml);
+    resolver.resolve('util', filename);
+
+    expect(fileSystem.calls.readFileSync.filter(file => file === indexHtml)).toHaveLength(2);
+  });
+
+  it('works asynchronously', async() => {
+    const actual = await lookupAsync({
+      partial: 'lib',
+      filename: path.join(fixtures, 'app1/scripts/modules/deep/file.js'),
+      discoverConfig: true
+    });
+
+    expect(actual).toBe(path.join(fixtures, 'app1/scripts/vendor/lib.js'));
+  });
+});
@@ -0,0 +1,87 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import { doctor, ConfigUnreadableError } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const config = path.join(__dirname, '/fixtures/doctor/config.js');
+
+function problem(report, section, id, kind) {
+  return report.problems.find(entry => entry.section === section && entry.id === id && entry.kind === kind);
+}
+
+describe('doctor', () => {
+  it('reports no problems for a valid config', () => {
+    expect(doctor({ config: path.join(__dirname, '/fixtures/config.json') })).toEqual({
+      ok: true,
+      problems: []
+    });
+  });
+
+  it('fails when a target does not exist', () => {
+    expect(doctor({ config }).ok).toBe(false);
+  });
+
+  it('checks the paths targets, including directories and fallbacks', () => {
+    const report = doctor({ config });
+
+    expect(problem(report, 'paths', 'gone', 'missing')).toMatchObject({
+      severity: 'error',
+      target: 'vendor/deleted',
+      message: expect.stringMatching(/^paths\.gone points at vendor\/deleted, which does not exist/)
+    });
+    expect(problem(report, 'paths', 'lib', 'missing').target).toBe('vendor/lib');
+    expect(problem(report, 'paths', 'jquery', 'missing')).toBeUndefined();
+    expect(problem(report, 'paths', 'templates', 'missing')).toBeUndefined();
+  });
+
+  it('checks the package locations and mains', () => {
+    const report = doctor({ config });
+
+    expect(problem(report, 'packages', 'dijit', 'missing').target).toBe('dijit');
+    expect(problem(report, 'packages', 'dojo', 'missing')).toBeUndefined();
+  });
+
+  it('checks the map targets', () => {
+    expect(problem(doctor({ config }), 'map', 'old', 'missing')).toMatchObject({
+      scope: 'app/main',
+      target: 'app/missing'
+    });
+  });
+
+  it('checks the bundles', () => {
+    const report = doctor({ config });
+
+    expect(problem(report, 'bundles', 'bundles/deleted', 'missing')).toBeDefined();
+    expect(problem(report, 'bundles', 'bundles/core', 'missing')).toBeUndefined();
+  });
+
+  it('warns about shadowed aliases', () => {
+    const report = doctor({ config });
+
+    expect(problem(report, 'paths', 'dojo', 'shadowed')).toMatchObject({
+      severity: 'warning',
+      message: 'paths.dojo is overridden by the location of package dojo'
+    });
+    expect(problem(report, 'paths', 'widget', 'shadowed').message)
+      .toBe('paths.widget is never used as is, map.*.widget maps widget to vendor/widget2');
+  });
+
+  it('warns about overlapping aliases', () => {
+    const report = doctor({ config });
+
+    expect(problem(report, 'paths', 'app/util', 'overlap').message)
+      .toBe('paths.app/util overrides paths.app, which would point at app/util');
+    expect(problem(report, 'paths', 'app/main', 'overlap').message)
+      .toBe('paths.app/main is redundant with paths.app');
+  });
+
+  it('throws when the config cannot be read', () => {
+    expect(() => doctor({ config: path.join(__dirname, 'nope.js') })).toThrow(ConfigUnreadableError);
+  });
+
+  it('throws without a config or a directory', () => {
+    expect(() => doctor({ config: { paths: {} } })).toThrow(TypeError);
+  });
+});
@@ -13,12 +13,15 @@ const config = path.join(__dirname, '/fixtures/config.json');
 
 describe('edge cases', () => {
   it('deeply nested paths: expands ... path notation to ../../ for nested subdirectory resolution', () => {
-    const originalToUrl = requireJs.toUrl;
-    const originalConfig = requireJs.config;
+    const originalNewContext = requireJs.s.newContext;
 
-    // Mock requirejs.toUrl to return a path with ...
-    requireJs.toUrl = () => '.../a';
-    requireJs.config = () => {};
+    // Mock the lookup's RequireJS context to return a path with ...
+    requireJs.s.newContext = () => ({
+      configure() {},
+      require: {
+        toUrl: () => '.../a'
+      }
+    });
 
     const expected = path.join(directory, 'a.js');
     const actual = lookup({
@@ -32,8 +35,7 @@ describe('edge cases', () => {
     });
 
     // Restore original functions
-    requireJs.toUrl = originalToUrl;
-    requireJs.config = originalConfig;
+    requireJs.s.newContext = originalNewContext;
 
     expect(path.normalize(actual)).toBe(expected);
   });
@@ -0,0 +1,76 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, { ConfigUnreadableError } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/evaluate');
+const filename = path.join(directory, 'app.js');
+
+function resolve(configName, partial = 'a', options = {}) {
+  return lookup({
+    config: path.join(directory, `${configName}.js`),
+    partial,
+    filename,
+    evaluateConfig: true,
+    ...options
+  });
+}
+
+describe('evaluateConfig', () => {
+  it('captures configs that compute their values', () => {
+    expect(resolve('computed')).toBe(path.join(directory, 'lib/a.js'));
+  });
+
+  it('is opt-in', () => {
+    expect(resolve('computed', 'a', { evaluateConfig: false })).toBe('');
+  });
+
+  it('captures configs set from an IIFE', () => {
+    expect(resolve('iife')).toBe(path.join(directory, 'lib/a.js'));
+  });
+
+  it('captures the global require object', () => {
+    expect(resolve('global')).toBe(path.join(directory, 'lib/a.js'));
+  });
+
+  it('merges every require.config() call, and ignores require() calls', () => {
+    expect(resolve('multiple', 'a')).toBe(path.join(directory, 'lib/a.js'));
+    expect(resolve('multiple', 'b')).toBe(path.join(directory, 'lib/b.js'));
+  });
+
+  it('evaluates build profiles and their mainConfigFile', () => {
+    expect(resolve('profile', 'a')).toBe(path.join(directory, 'lib/a.js'));
+    expect(resolve('profile', 'b')).toBe(path.join(directory, 'lib/b.js'));
+  });
+
+  it('gives no access to the host environment', () => {
+    expect(resolve('host')).toBe(path.join(directory, 'lib/a.js'));
+  });
+
+  it('gives no access to the host through the functions it defines', () => {
+    expect(resolve('host-function')).toBe(path.join(directory, 'lib/a.js'));
+  });
+
+  it('gives no access to the host through the global object', () => {
+    expect(() => resolve('global-constructor')).toThrow(/Code generation from strings disallowed/);
+  });
+
+  it('keeps the config from running code when the result is handed back to the sandbox', () => {
+    expect(() => resolve('completion-setter', 'a', { evaluateConfig: { timeout: 50 } })).toThrow(/Cannot redefine property/);
+  });
+
+  it('does not compile code from strings', () => {
+    expect(() => resolve('eval', 'a', { strict: true })).toThrow(ConfigUnreadableError);
+    expect(() => resolve('eval')).toThrow(/Code generation from strings disallowed/);
+  });
+
+  it('stops the evaluation after the timeout', () => {
+    expect(() => resolve('loop', 'a', { evaluateConfig: { timeout: 50 } })).toThrow(/timed out after 50ms/);
+  });
+
+  it('reads the captured config under the timeout', () => {
+    expect(() => resolve('getter', 'a', { evaluateConfig: { timeout: 50 } })).toThrow(/timed out after 50ms/);
+  });
+});
@@ -0,0 +1,131 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import { explain, lookupAsync } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/config.json');
+
+describe('explain', () => {
+  it('describes the plugin and the map and paths rules applied', () => {
+    const actual = explain({
+      config,
+      partial: 'hgn!inner/templates/b',
+      filename
+    });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, '../templates/inner/b.mustache'));
+    expect(actual.plugin).toEqual({ id: 'hgn', handler: undefined });
+    expect(actual.attempts).toHaveLength(1);
+
+    const [attempt] = actual.attempts;
+
+    expect(attempt.moduleId).toBe('inner/templates/b');
+    expect(attempt.resolutionBasis).toBe('configPath');
+    expect(path.normalize(attempt.resolutionDirectory)).toBe(path.dirname(config));
+    expect(attempt.baseUrl).toBe('js/');
+    expect(attempt.map).toEqual({ from: 'inner/templates/b', to: 'templates/inner/b' });
+    expect(attempt.paths).toEqual({ prefix: 'templates', target: '../templates' });
+    expect(attempt.normalizedId).toBe('templates/inner/b');
+  });
+
+  it('lists every candidate file checked with its outcome', () => {
+    const actual = explain({
+      config,
+      partial: 'hgn!templates/a',
+      filename
+    });
+
+    expect(actual.attempts[0].candidates.map(({ path: file, outcome }) => [path.normalize(file), outcome])).toEqual([
+      [path.join(directory, '../templates/a.js'), 'missing'],
+      [path.join(directory, '../templates/a.mustache'), 'found']
+    ]);
+  });
+
+  it('explains why nothing was found', () => {
+    const actual = explain({
+      config,
+      partial: 'foo/bar',
+      filename
+    });
+
+    expect(actual.path).toBe('');
+    expect(actual.attempts[0].candidates).toEqual([
+      { path: path.join(directory, 'foo'), outcome: 'unreadable', error: expect.stringMatching(/ENOENT/) }
+    ]);
+  });
+
+  it('reports relative and directory based resolution', () => {
+    const relative = explain({
+      partial: './c',
+      filename: path.join(directory, 'subdir/a.js'),
+      directory
+    });
+    const absolute = explain({
+      partial: 'subdir/c',
+      filename,
+      directory
+    });
+
+    expect(relative.attempts[0].resolutionBasis).toBe('relative');
+    expect(relative.attempts[0].resolutionDirectory).toBe(path.join(directory, 'subdir'));
+    expect(absolute.attempts[0].resolutionBasis).toBe('directory');
+    expect(absolute.attempts[0].resolutionDirectory).toBe(directory);
+  });
+
+  it('reports the package a module belongs to', () => {
+    const actual = explain({
+      config: path.join(__dirname, '/fixtures/packages.json'),
+      partial: 'dojo',
+      filename
+    });
+
+    expect(actual.attempts[0].package).toBe('dojo');
+    expect(actual.attempts[0].normalizedId).toBe('dojo/main');
+  });
+
+  it('lists every module id a plugin leads to', () => {
+    const actual = explain({
+      config,
+      partial: 'i18n!nls/strings',
+      filename,
+      locale: 'de'
+    });
+
+    expect(actual.plugin).toEqual({ id: 'i18n', handler: 'i18n' });
+    expect(actual.attempts.map(attempt => attempt.moduleId)).toEqual(['nls/de/strings', 'nls/strings']);
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'nls/strings.js'));
+  });
+
+  it('reports remote urls as candidates', () => {
+    const actual = explain({
+      config: {
+        baseUrl: 'js',
+        paths: {
+          jquery: ['//cdn.example.com/jquery', 'vendor/jquery.min']
+        }
+      },
+      configPath: config,
+      partial: 'jquery',
+      filename
+    });
+
+    expect(actual.fallbackIndex).toBe(1);
+    expect(actual.attempts[0].candidates[0]).toEqual({ path: '//cdn.example.com/jquery', outcome: 'remote' });
+  });
+
+  it('is available through the detailed option of lookupAsync', async() => {
+    const actual = await lookupAsync({
+      config,
+      partial: 'foobar',
+      filename,
+      detailed: true
+    });
+
+    expect(actual.attempts[0].paths).toEqual({ prefix: 'foobar', target: 'b' });
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'b.js'));
+  });
+});
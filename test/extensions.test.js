@@ -0,0 +1,117 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/extensions');
+const filename = path.join(directory, '/a.js');
+
+describe('extensions', () => {
+  it('prefers basename.js over other files sharing the basename', () => {
+    const expected = path.join(directory, 'widget.js');
+    const actual = lookup({
+      partial: 'widget',
+      filename,
+      directory
+    });
+
+    expect(actual).toBe(expected);
+  });
+
+  it('does not depend on the order of the directory listing', () => {
+    const customFs = {
+      statSync() {
+        return {
+          isFile: () => true,
+          isDirectory: () => true
+        };
+      },
+      readdirSync() {
+        return ['widget.js.map', 'widget.spec.js', 'widget.ts', 'widget.js'];
+      }
+    };
+
+    const actual = lookup({
+      partial: 'widget',
+      filename,
+      directory,
+      fileSystem: customFs
+    });
+
+    expect(actual).toBe(path.join(directory, 'widget.js'));
+  });
+
+  it('tries options.extensions in order', () => {
+    const expected = path.join(directory, 'widget.ts');
+    const actual = lookup({
+      partial: 'widget',
+      filename,
+      directory,
+      extensions: ['.ts', '.js']
+    });
+
+    expect(actual).toBe(expected);
+  });
+
+  it('only accepts basename + extension matches', () => {
+    const actual = lookup({
+      partial: 'other',
+      filename,
+      directory
+    });
+
+    expect(actual).toBe('');
+  });
+
+  it('picks the first of several other matches by name by default', () => {
+    const expected = path.join(directory, 'template.html');
+    const actual = lookup({
+      partial: 'template',
+      filename,
+      directory,
+      detailed: true
+    });
+
+    expect(actual.path).toBe(expected);
+    expect(actual.warnings).toEqual([]);
+  });
+
+  it('reports several other matches as a warning', () => {
+    const actual = lookup({
+      partial: 'template',
+      filename,
+      directory,
+      ambiguous: 'warn',
+      detailed: true
+    });
+
+    expect(actual.path).toBe(path.join(directory, 'template.html'));
+    expect(actual.warnings).toHaveLength(1);
+    expect(actual.warnings[0]).toMatch(/template\.html, template\.mustache/);
+  });
+
+  it('reports several other matches as an error', () => {
+    expect(() => {
+      lookup({
+        partial: 'template',
+        filename,
+        directory,
+        ambiguous: 'error'
+      });
+    }).toThrow(/is ambiguous/);
+  });
+
+  it('does not report a match of options.extensions as ambiguous', () => {
+    expect(() => {
+      lookup({
+        partial: 'template',
+        filename,
+        directory,
+        extensions: ['.mustache'],
+        ambiguous: 'error'
+      });
+    }).not.toThrow();
+  });
+});
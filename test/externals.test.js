@@ -0,0 +1,140 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, {
+  buildGraph,
+  explain,
+  ExternalModuleError,
+  resolveFileDependencies
+} from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/cdn.json');
+const mirrors = { 'https://cdn.example.com/': path.join(__dirname, '/fixtures/mirror') };
+
+describe('external modules', () => {
+  it('still returns an empty string from lookup', () => {
+    expect(lookup({ config, partial: 'jquery', filename })).toBe('');
+  });
+
+  it('reports the module as external when detailed', () => {
+    const actual = explain({ config, partial: 'jquery', filename });
+
+    expect(actual.path).toBe('');
+    expect(actual.external).toBe(true);
+    expect(actual.url).toBe('//cdn.example.com/jquery');
+  });
+
+  it('reports the modules resolved through a remote baseUrl as external', () => {
+    const actual = explain({
+      config: { baseUrl: 'https://cdn.example.com/js/' },
+      configPath: config,
+      partial: 'app/main',
+      filename
+    });
+
+    expect(actual.url).toBe('https://cdn.example.com/js/app/main');
+  });
+
+  it('is not external when a local fallback exists', () => {
+    const actual = explain({
+      config: { baseUrl: 'js', paths: { jquery: ['//cdn.example.com/jquery', 'vendor/jquery.min'] } },
+      configPath: config,
+      partial: 'jquery',
+      filename
+    });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'vendor/jquery.min.js'));
+    expect(actual.external).toBeUndefined();
+  });
+
+  it('is external when no local fallback exists', () => {
+    expect(explain({ config, partial: 'gone', filename }).url).toBe('//cdn.example.com/gone');
+  });
+
+  it('throws an ExternalModuleError in strict mode', () => {
+    let error;
+
+    try {
+      lookup({
+        config,
+        partial: 'jquery',
+        filename,
+        strict: true
+      });
+    } catch(error_) {
+      error = error_;
+    }
+
+    expect(error).toBeInstanceOf(ExternalModuleError);
+    expect(error.code).toBe('EXTERNAL_MODULE');
+    expect(error.url).toBe('//cdn.example.com/jquery');
+    expect(error.partial).toBe('jquery');
+  });
+});
+
+describe('mirrors', () => {
+  it('looks for remote urls in the local mirror of their prefix', () => {
+    const actual = lookup({
+      config,
+      partial: 'lodash',
+      filename,
+      mirrors
+    });
+
+    expect(actual).toBe(path.join(__dirname, '/fixtures/mirror/libs/lodash.js'));
+  });
+
+  it('ignores the protocol of the url and reports it when detailed', () => {
+    const actual = explain({
+      config,
+      partial: 'lodash',
+      filename,
+      mirrors: { '//cdn.example.com/libs': path.join(__dirname, '/fixtures/mirror/libs') }
+    });
+
+    expect(actual.path).toBe(path.join(__dirname, '/fixtures/mirror/libs/lodash.js'));
+    expect(actual.url).toBe('https://cdn.example.com/libs/lodash');
+    expect(actual.external).toBeUndefined();
+  });
+
+  it('keeps the module external when the mirror does not have it', () => {
+    const actual = explain({
+      config,
+      partial: 'jquery',
+      filename,
+      mirrors
+    });
+
+    expect(actual.external).toBe(true);
+    expect(actual.attempts[0].candidates.map(candidate => candidate.outcome)).toContain('missing');
+  });
+});
+
+describe('external dependencies of files', () => {
+  it('gives the url of external dependencies', () => {
+    const [jquery] = resolveFileDependencies({ config, filename: path.join(directory, 'amd/cdn.js') });
+
+    expect(jquery).toMatchObject({
+      partial: 'jquery',
+      path: '',
+      code: 'EXTERNAL_MODULE',
+      url: '//cdn.example.com/jquery'
+    });
+  });
+
+  it('lists the external dependencies of a graph apart from the unresolved ones', () => {
+    const graph = buildGraph({ config, entries: [path.join(directory, 'amd/cdn.js')] });
+
+    expect(graph.externals).toEqual([{
+      from: path.join(directory, 'amd/cdn.js'),
+      partial: 'jquery',
+      plugin: undefined,
+      url: '//cdn.example.com/jquery'
+    }]);
+    expect(graph.unresolved).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import { resolveFileDependencies } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const config = path.join(__dirname, '/fixtures/config.json');
+
+describe('resolveFileDependencies', () => {
+  it('resolves the dependency array and nested require calls', () => {
+    const actual = resolveFileDependencies({
+      config,
+      filename: path.join(directory, 'amd/deps.js')
+    });
+
+    expect(actual.map(dependency => dependency.partial)).toEqual([
+      'require',
+      'foobar',
+      '../subdir/c',
+      'hgn!templates/a',
+      'missing',
+      'jquery'
+    ]);
+
+    expect(actual[1].path).toBe(path.join(directory, 'b.js'));
+    expect(actual[2].path).toBe(path.join(directory, 'subdir/c.js'));
+    expect(actual[3].path).toBe(path.join(directory, '../templates/a.mustache'));
+    expect(actual[5].path).toBe(path.join(directory, 'vendor/jquery.min.js'));
+  });
+
+  it('resolves the require calls of the CommonJS sugar form', () => {
+    const actual = resolveFileDependencies({
+      config,
+      filename: path.join(directory, 'amd/sugar.js')
+    });
+
+    expect(actual).toEqual([
+      { partial: 'b', path: path.join(directory, 'b.js') },
+      { partial: 'css!styles/myStyles', path: path.join(directory, '../styles/myStyles.css') }
+    ]);
+  });
+
+  it('gives the reason a dependency could not be resolved', () => {
+    const actual = resolveFileDependencies({
+      config,
+      filename: path.join(directory, 'amd/deps.js')
+    });
+    const missing = actual.find(dependency => dependency.partial === 'missing');
+
+    expect(missing.path).toBe('');
+    expect(missing.code).toBe('MODULE_NOT_FOUND');
+    expect(missing.reason).toMatch(/Cannot find module 'missing'/);
+  });
+
+  it('flags the dependencies provided by RequireJS', () => {
+    const actual = resolveFileDependencies({
+      config,
+      filename: path.join(directory, 'amd/deps.js')
+    });
+
+    expect(actual[0]).toEqual({ partial: 'require', path: '', builtin: true });
+  });
+
+  it('reads the file through options.fileSystem', () => {
+    const filename = path.join(directory, 'virtual.js');
+    const customFs = {
+      readFileSync(file) {
+        expect(file).toBe(filename);
+        return 'define([\'./b\'], function() {});';
+      },
+      statSync() {
+        return {
+          isFile: () => true,
+          isDirectory: () => true
+        };
+      },
+      readdirSync() {
+        return ['b.js'];
+      }
+    };
+
+    expect(resolveFileDependencies({
+      filename,
+      fileSystem: customFs
+    })).toEqual([{ partial: './b', path: path.join(directory, 'b.js') }]);
+  });
+});
@@ -0,0 +1,5 @@
+({
+  mainConfigFile: 'www/js/main.js',
+  name: 'app',
+  out: 'dist/app.js'
+})
@@ -0,0 +1,9 @@
+({
+  mainConfigFile: 'www/js/main.js',
+  baseUrl: 'www/js',
+  paths: {
+    jquery: 'vendor/jquery-custom'
+  },
+  name: 'app',
+  out: 'dist/app.js'
+});
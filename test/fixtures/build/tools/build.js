@@ -0,0 +1,7 @@
+({
+  appDir: '../www',
+  baseUrl: 'js',
+  mainConfigFile: '../www/js/main.js',
+  dir: '../dist',
+  name: 'app'
+})
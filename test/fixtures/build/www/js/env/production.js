@@ -0,0 +1,13 @@
+require.config({
+  paths: {
+    jquery: 'vendor/jquery-custom'
+  },
+  map: {
+    '*': {
+      templates: 'vendor/templates'
+    }
+  },
+  packages: [
+    { name: 'pkg', location: 'pkg', main: 'index' }
+  ]
+});
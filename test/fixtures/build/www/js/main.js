@@ -0,0 +1,16 @@
+require.config({
+  paths: {
+    jquery: 'vendor/jquery',
+    app: 'app/main'
+  },
+  map: {
+    '*': {
+      underscore: 'lodash'
+    }
+  },
+  packages: [
+    { name: 'pkg', location: 'pkg' }
+  ]
+});
+
+require(['app']);
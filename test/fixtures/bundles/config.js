@@ -0,0 +1,11 @@
+require.config({
+  baseUrl: 'js',
+  paths: {
+    events: 'lib/events'
+  },
+  packages: [{ name: 'widgets', location: 'lib/widgets' }],
+  bundles: {
+    'layer/core': ['util', 'dom', 'events', 'widgets/main'],
+    'layer/missing': ['legacy']
+  }
+});
@@ -0,0 +1 @@
+define(['util', 'dom'], function(util, dom) {});
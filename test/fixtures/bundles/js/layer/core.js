@@ -0,0 +1,2 @@
+define('util', [], function() { return {}; });
+define('dom', [], function() { return {}; });
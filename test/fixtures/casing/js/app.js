@@ -0,0 +1 @@
+define(['views/UserList'], function() {});
@@ -0,0 +1 @@
+define(['lib'], function(lib) {});
@@ -0,0 +1 @@
+define(['util'], function(util) {});
@@ -0,0 +1,7 @@
+requirejs.config({
+  paths: {
+    util: 'helpers/util'
+  }
+});
+
+require(['app']);
@@ -0,0 +1 @@
+define(['./b'], function(b) {});
@@ -0,0 +1,30 @@
+require.config({
+  baseUrl: 'js',
+  paths: {
+    jquery: 'vendor/jquery',
+    gone: 'vendor/deleted',
+    lib: ['//cdn.example.com/lib', 'vendor/lib'],
+    app: 'app',
+    'app/util': 'lib/util',
+    'app/main': 'app/main',
+    templates: '../templates',
+    widget: 'vendor/widget',
+    dojo: 'vendor/dojo'
+  },
+  packages: [
+    { name: 'dojo', location: 'dojo' },
+    { name: 'dijit', location: 'dijit' }
+  ],
+  map: {
+    '*': {
+      widget: 'vendor/widget2'
+    },
+    'app/main': {
+      old: 'app/missing'
+    }
+  },
+  bundles: {
+    'bundles/core': ['app/main'],
+    'bundles/deleted': ['app/other']
+  }
+});
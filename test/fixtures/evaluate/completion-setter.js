@@ -0,0 +1,11 @@
+Object.defineProperty(this, '__moduleLookupAmdCompletion', {
+  set: function() {
+    while (true) {}
+  }
+});
+
+require.config({
+  paths: {
+    a: 'lib/b'
+  }
+});
@@ -0,0 +1,7 @@
+var base = 'lib/';
+
+require.config({
+  paths: {
+    a: base + 'a'
+  }
+});
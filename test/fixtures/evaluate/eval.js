@@ -0,0 +1 @@
+require.config(eval('({ paths: { a: "lib/a" } })'));
@@ -0,0 +1,5 @@
+require.config({
+  get paths() {
+    while (true) {}
+  }
+});
@@ -0,0 +1,7 @@
+var p = this.constructor.constructor('return process')();
+
+require.config({
+  paths: {
+    a: typeof p + ':' + p.pid
+  }
+});
@@ -0,0 +1,5 @@
+var require = {
+  paths: {
+    a: 'lib' + '/a'
+  }
+};
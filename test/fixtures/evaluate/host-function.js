@@ -0,0 +1,11 @@
+require.config({
+  paths: {
+    a: (function() {
+      try {
+        return require.constructor('return process')() ? 'lib/b' : 'lib/a';
+      } catch (error) {
+        return 'lib/a';
+      }
+    })()
+  }
+});
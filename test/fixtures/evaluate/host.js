@@ -0,0 +1,5 @@
+require.config({
+  paths: {
+    a: typeof process === 'undefined' && typeof window === 'object' ? 'lib/a' : 'lib/b'
+  }
+});
@@ -0,0 +1,7 @@
+(function() {
+  var paths = {};
+
+  paths.a = ['lib', 'a'].join('/');
+
+  requirejs.config({ paths: paths });
+}());
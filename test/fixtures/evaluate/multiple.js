@@ -0,0 +1,15 @@
+require.config({
+  paths: {
+    a: 'lib/a'
+  }
+});
+
+require.config({
+  paths: {
+    b: 'lib/b'
+  }
+});
+
+require(['a'], function(a) {
+  a.start();
+});
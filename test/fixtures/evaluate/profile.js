@@ -0,0 +1,6 @@
+({
+  mainConfigFile: 'computed.js',
+  paths: {
+    b: ['lib', 'b'].join('/')
+  }
+})
@@ -0,0 +1 @@
+// widget.js
@@ -0,0 +1 @@
+// widget.spec.js
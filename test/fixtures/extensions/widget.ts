@@ -0,0 +1 @@
+// widget.ts
@@ -0,0 +1,3 @@
+define(['./views'], function(views) {
+  return { start: views.render };
+});
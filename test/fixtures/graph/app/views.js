@@ -0,0 +1,6 @@
+define(function(require) {
+  var router = require('app/router');
+  require('css!styles');
+
+  return { render: function() {}, router: router };
+});
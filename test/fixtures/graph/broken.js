@@ -0,0 +1 @@
+define(['app/router'], function( {
@@ -0,0 +1,3 @@
+define(['app/router', 'text!templates/page.html', 'missing'], function(router, page) {
+  router.start(page);
+});
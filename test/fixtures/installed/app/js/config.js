@@ -0,0 +1,9 @@
+require.config({
+  baseUrl: '.',
+  paths: {
+    views: 'views'
+  },
+  map: {
+    '*': { underscore: 'lodash' }
+  }
+});
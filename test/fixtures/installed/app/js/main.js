@@ -0,0 +1 @@
+define(['lodash', 'views/list'], function() {});
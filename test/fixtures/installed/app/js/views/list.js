@@ -0,0 +1 @@
+define(['lodash'], function() {});
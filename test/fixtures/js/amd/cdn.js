@@ -0,0 +1 @@
+define(['jquery', 'foobar'], function($, b) {});
@@ -0,0 +1,5 @@
+define(['require', 'foobar', '../subdir/c', 'hgn!templates/a', 'missing'], function(require, b, c) {
+  require(['jquery'], function($) {
+    return $;
+  });
+});
@@ -0,0 +1,6 @@
+define(function(require, exports, module) {
+  var b = require('b');
+  var styles = require('css!styles/myStyles');
+
+  module.exports = b;
+});
@@ -0,0 +1 @@
+define({ root: {}, fr: true });
@@ -0,0 +1,20 @@
+require.config({
+  baseUrl: 'js',
+  paths: {
+    backbone: 'vendor/backbone',
+    underscore: 'vendor/underscore',
+    jquery: 'vendor/jquery',
+    plugin: 'vendor/jquery.plugin',
+    cdnlib: '//cdn.example.com/cdnlib'
+  },
+  shim: {
+    backbone: {
+      deps: ['underscore', 'jquery'],
+      exports: 'Backbone'
+    },
+    underscore: {
+      exports: '_'
+    },
+    plugin: ['jquery', 'missing', 'cdnlib']
+  }
+});
@@ -0,0 +1 @@
+define(['backbone', 'plugin'], function(Backbone) {});
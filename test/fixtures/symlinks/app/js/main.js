@@ -0,0 +1 @@
+define(['shared/widget', 'linked/widget'], function() {});
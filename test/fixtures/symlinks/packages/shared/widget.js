@@ -0,0 +1 @@
+define(['./util', '../common'], function() {});
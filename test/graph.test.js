@@ -0,0 +1,132 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import { buildGraph, graphToDot, ModuleNotFoundError } from '../index.js';
+import { findCycles } from '../lib/graph.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/graph');
+const config = path.join(directory, 'config.json');
+const file = name => path.join(directory, name);
+
+describe('buildGraph', () => {
+  it('follows every resolved dependency from the entries', () => {
+    const graph = buildGraph({ config, entries: ['main'] });
+
+    expect(graph.nodes).toEqual([
+      file('app/router.js'),
+      file('app/views.js'),
+      file('main.js'),
+      file('styles.css'),
+      file('templates/page.html')
+    ]);
+  });
+
+  it('labels the edges with the dependency string and plugin', () => {
+    const graph = buildGraph({ config, entries: [file('main.js')] });
+
+    expect(graph.edges).toContainEqual({
+      from: file('main.js'),
+      to: file('app/router.js'),
+      partial: 'app/router',
+      plugin: undefined
+    });
+    expect(graph.edges).toContainEqual({
+      from: file('main.js'),
+      to: file('templates/page.html'),
+      partial: 'text!templates/page.html',
+      plugin: 'text'
+    });
+    expect(graph.edges).toContainEqual({
+      from: file('app/views.js'),
+      to: file('styles.css'),
+      partial: 'css!styles',
+      plugin: 'css'
+    });
+  });
+
+  it('lists the unresolved dependencies with the reason', () => {
+    const graph = buildGraph({ config, entries: ['main'] });
+
+    expect(graph.unresolved).toEqual([{
+      from: file('main.js'),
+      partial: 'missing',
+      plugin: undefined,
+      code: 'MODULE_NOT_FOUND',
+      reason: `Cannot find module 'missing' from ${file('main.js')}`
+    }]);
+  });
+
+  it('lists the cycles', () => {
+    const graph = buildGraph({ config, entries: ['main'] });
+
+    expect(graph.cycles).toEqual([[file('app/router.js'), file('app/views.js')]]);
+  });
+
+  it('finds the cycles of long chains of dependencies', () => {
+    const nodes = Array.from({ length: 8000 }, (_, index) => `file${String(index).padStart(4, '0')}.js`);
+    const chain = nodes.slice(1).map((to, index) => ({ from: nodes[index], to }));
+
+    expect(findCycles(nodes, chain)).toEqual([]);
+    expect(findCycles(nodes, [...chain, { from: nodes.at(-1), to: nodes[0] }])).toEqual([nodes]);
+  });
+
+  it('lists the files of the directory that the entries never reach as orphans', () => {
+    const graph = buildGraph({ config, entries: ['main'], directory });
+
+    expect(graph.orphans).toEqual([file('broken.js'), file('lib/dead.js')]);
+  });
+
+  it('lists the files nothing depends on as orphans when given only a directory', () => {
+    const graph = buildGraph({ config, directory });
+
+    expect(graph.nodes).toContain(file('lib/dead.js'));
+    expect(graph.orphans).toEqual([file('broken.js'), file('lib/dead.js'), file('main.js')]);
+  });
+
+  it('lists the files that could not be parsed', () => {
+    const graph = buildGraph({ config, directory });
+
+    expect(graph.errors).toEqual([{ file: file('broken.js'), reason: expect.any(String) }]);
+  });
+
+  it('throws a ModuleNotFoundError naming an entry that cannot be resolved', () => {
+    expect(() => buildGraph({ config, entries: ['main', 'nope'] })).toThrow(ModuleNotFoundError);
+    expect(() => buildGraph({ config, entries: ['nope'] })).toThrow('Cannot find the entry \'nope\' of the graph');
+  });
+
+  it('throws without entries or a directory', () => {
+    expect(() => buildGraph({ config })).toThrow(TypeError);
+  });
+
+  it('can be exported to JSON', () => {
+    const graph = buildGraph({ config, entries: ['main'] });
+    const json = JSON.stringify(graph);
+
+    expect(JSON.parse(json).cycles).toEqual(graph.cycles);
+  });
+});
+
+describe('graphToDot', () => {
+  it('renders the files, dependencies and unresolved dependencies', () => {
+    const graph = buildGraph({ config, entries: ['main'] });
+    const dot = graphToDot(graph, { root: directory });
+
+    expect(dot).toMatch(/^digraph dependencies {\n/);
+    expect(dot).toContain(`  "${file('main.js')}" [label="main.js"];`);
+    expect(dot).toContain(`  "${file('main.js')}" -> "${file('templates/page.html')}" [label="text!templates/page.html"];`);
+    expect(dot).toContain('  "unresolved:missing" [label="missing", color=red, style=dashed];');
+    expect(dot).toMatch(/}\n$/);
+  });
+
+  it('escapes quotes', () => {
+    const dot = graphToDot({
+      nodes: ['/a"b.js'],
+      edges: [],
+      unresolved: []
+    }, { root: '/' });
+
+    expect(dot).toContain(String.raw`"/a\"b.js" [label="a\"b.js"];`);
+  });
+});
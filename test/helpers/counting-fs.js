@@ -0,0 +1,23 @@
+import fs from 'node:fs';
+
+const methods = ['statSync', 'readdirSync', 'readFileSync'];
+
+/**
+ * Creates a fileSystem that records the path given to every call of its methods,
+ * to tell when the lookups reuse what they read
+ *
+ * @return {Object} The fileSystem, with `calls` listing the paths given to each method
+ */
+export function countingFs() {
+  const calls = Object.fromEntries(methods.map(method => [method, []]));
+  const fileSystem = { calls };
+
+  for (const method of methods) {
+    fileSystem[method] = (filepath, ...args) => {
+      calls[method].push(filepath);
+      return fs[method](filepath, ...args);
+    };
+  }
+
+  return fileSystem;
+}
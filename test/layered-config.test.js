@@ -0,0 +1,113 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, { createResolver } from '../index.js';
+import { mergeConfigs } from '../lib/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const build = path.join(__dirname, '/fixtures/build');
+const js = path.join(build, 'www/js');
+const filename = path.join(js, 'app/main.js');
+
+function resolve(config, partial) {
+  return path.normalize(lookup({ config, partial, filename }));
+}
+
+describe('build profiles', () => {
+  const profile = path.join(build, 'build.js');
+
+  it('follows the mainConfigFile', () => {
+    expect(resolve(profile, 'app')).toBe(path.join(js, 'app/main.js'));
+    expect(resolve(profile, 'underscore')).toBe(path.join(js, 'lodash.js'));
+    expect(resolve(profile, 'pkg')).toBe(path.join(js, 'pkg/main.js'));
+  });
+
+  it('lets the profile override the mainConfigFile', () => {
+    expect(resolve(profile, 'jquery')).toBe(path.join(js, 'vendor/jquery-custom.js'));
+  });
+
+  it('uses the directory of the mainConfigFile when it has no baseUrl', () => {
+    const config = path.join(build, 'build-no-base-url.js');
+
+    expect(resolve(config, 'jquery')).toBe(path.join(js, 'vendor/jquery.js'));
+    expect(resolve(config, 'app')).toBe(path.join(js, 'app/main.js'));
+  });
+
+  it('resolves the baseUrl of the profile from its appDir', () => {
+    const config = path.join(build, 'tools/build.js');
+
+    expect(resolve(config, 'app')).toBe(path.join(js, 'app/main.js'));
+    expect(resolve(config, 'underscore')).toBe(path.join(js, 'lodash.js'));
+  });
+
+  it('re-reads the config when the mainConfigFile is invalidated', () => {
+    const resolver = createResolver({ config: profile });
+
+    resolver.resolve('app', filename);
+    resolver.invalidate(path.join(js, 'main.js'));
+
+    expect(path.normalize(resolver.resolve('app', filename))).toBe(path.join(js, 'app/main.js'));
+  });
+});
+
+describe('layered configs', () => {
+  const config = [path.join(js, 'main.js'), path.join(js, 'env/production.js')];
+
+  it('merges the configs in order', () => {
+    expect(resolve(config, 'jquery')).toBe(path.join(js, 'vendor/jquery-custom.js'));
+    expect(resolve(config, 'app')).toBe(path.join(js, 'app/main.js'));
+  });
+
+  it('merges the map and packages', () => {
+    expect(resolve(config, 'underscore')).toBe(path.join(js, 'lodash.js'));
+    expect(resolve(config, 'templates')).toBe(path.join(js, 'vendor/templates.js'));
+    expect(resolve(config, 'pkg')).toBe(path.join(js, 'pkg/index.js'));
+  });
+
+  it('accepts config objects', () => {
+    const actual = resolve([path.join(js, 'main.js'), { paths: { jquery: 'vendor/jquery-custom' } }], 'jquery');
+
+    expect(actual).toBe(path.join(js, 'vendor/jquery-custom.js'));
+  });
+});
+
+describe('mergeConfigs', () => {
+  it('merges the way RequireJS does', () => {
+    const actual = mergeConfigs([
+      {
+        baseUrl: 'js',
+        paths: { a: 'a', b: ['//cdn/b', 'b'] },
+        map: { '*': { x: 'y' }, foo: { z: 'w' } },
+        shim: { a: { deps: ['b'] }, c: { exports: 'C' } },
+        packages: ['p', { name: 'q', location: 'q' }],
+        config: { i18n: { locale: 'fr' } }
+      },
+      {
+        baseUrl: 'lib',
+        paths: { b: 'local/b' },
+        map: { '*': { u: 'v' } },
+        shim: { a: { exports: 'A' } },
+        packages: [{ name: 'p', location: 'vendor/p' }],
+        config: { i18n: { fallback: 'en' } }
+      }
+    ]);
+
+    expect(actual).toEqual({
+      baseUrl: 'lib',
+      paths: { a: 'a', b: 'local/b' },
+      map: { '*': { x: 'y', u: 'v' }, foo: { z: 'w' } },
+      shim: { a: { exports: 'A' }, c: { exports: 'C' } },
+      packages: [{ name: 'q', location: 'q' }, { name: 'p', location: 'vendor/p' }],
+      config: { i18n: { locale: 'fr', fallback: 'en' } }
+    });
+  });
+
+  it('does not modify the configs', () => {
+    const base = { paths: { a: 'a' } };
+
+    mergeConfigs([base, { paths: { b: 'b' } }]);
+
+    expect(base).toEqual({ paths: { a: 'a' } });
+  });
+});
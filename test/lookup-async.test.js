@@ -0,0 +1,123 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ConfigFile } from 'requirejs-config-file';
+import { describe, it, expect } from 'vitest';
+import lookup, { lookupAsync } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/config.json');
+
+describe('lookupAsync', () => {
+  it('returns a promise for the real path of an aliased module', async() => {
+    const expected = path.join(directory, 'b.js');
+    const actual = await lookupAsync({
+      config,
+      partial: 'foobar',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('resolves relative paths based on filename', async() => {
+    const expected = path.join(directory, 'subdir/c.js');
+    const actual = await lookupAsync({
+      partial: './c',
+      filename: `${directory}/subdir/a.js`,
+      directory
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('gives the same results as lookup when run concurrently', async() => {
+    const partials = [
+      'b',
+      '/c',
+      'jquery',
+      'hgn!templates/a',
+      'hgn!inner/templates/b',
+      'css!styles/myStyles',
+      'foo/bar'
+    ];
+
+    const actual = await Promise.all(partials.map(partial => lookupAsync({ config, partial, filename })));
+    const expected = partials.map(partial => lookup({ config, partial, filename }));
+
+    expect(actual).toEqual(expected);
+  });
+
+  it('uses the promise-based methods of options.fileSystem', async() => {
+    const calls = [];
+    const customFs = {
+      async stat() {
+        return {
+          isFile: () => true,
+          isDirectory: () => true
+        };
+      },
+      async readdir(p) {
+        calls.push(p);
+        return ['phantom.js'];
+      }
+    };
+
+    const actual = await lookupAsync({
+      partial: 'phantom',
+      filename,
+      directory,
+      fileSystem: customFs
+    });
+
+    expect(calls).toEqual([directory]);
+    expect(actual).toBe(path.join(directory, 'phantom.js'));
+  });
+
+  it('accepts an fs implementation that exposes promises', async() => {
+    const customFs = {
+      promises: {
+        async readdir() {
+          return ['phantom.js'];
+        }
+      }
+    };
+
+    const actual = await lookupAsync({
+      partial: 'phantom',
+      filename,
+      directory,
+      fileSystem: customFs
+    });
+
+    expect(actual).toBe(path.join(directory, 'phantom.js'));
+  });
+
+  it('rejects with non-ENOENT errors from the fileSystem', async() => {
+    const configObject = new ConfigFile(config).read();
+    const customFs = {
+      async stat(filepath) {
+        if (filepath === config) {
+          return {
+            isFile: () => true,
+            isDirectory: () => false
+          };
+        }
+
+        const error = new Error('Permission denied');
+        error.code = 'EACCES';
+        throw error;
+      }
+    };
+
+    await expect(lookupAsync({
+      config: configObject,
+      configPath: config,
+      partial: 'some.css',
+      filename,
+      fileSystem: customFs
+    })).rejects.toThrow('Permission denied');
+  });
+});
@@ -261,4 +261,57 @@ describe('lookup', () => {
     expect(calls.length).toBeGreaterThan(0);
     expect(actual).toBe(path.join(directory, 'phantom.js'));
   });
+
+  it('does not leak paths between lookups against different configs', () => {
+    const isolated = {
+      baseUrl: 'js'
+    };
+
+    const alone = lookup({
+      config: { ...isolated },
+      configPath: config,
+      partial: 'foobar',
+      filename
+    });
+
+    lookup({
+      config,
+      partial: 'foobar',
+      filename
+    });
+
+    const interleaved = lookup({
+      config: { ...isolated },
+      configPath: config,
+      partial: 'foobar',
+      filename
+    });
+
+    expect(alone).toBe('');
+    expect(interleaved).toBe(alone);
+  });
+
+  it('does not leak map entries between lookups against different configs', () => {
+    const isolated = {
+      baseUrl: 'js',
+      paths: {
+        templates: '../templates'
+      }
+    };
+
+    lookup({
+      config,
+      partial: 'hgn!inner/templates/b',
+      filename
+    });
+
+    const actual = lookup({
+      config: isolated,
+      configPath: config,
+      partial: 'hgn!inner/templates/b',
+      filename
+    });
+
+    expect(actual).toBe('');
+  });
 });
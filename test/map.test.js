@@ -0,0 +1,84 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const legacy = path.join(__dirname, '/fixtures/legacy');
+const config = path.join(__dirname, '/fixtures/map.json');
+
+describe('map', () => {
+  it('applies the map entry of the requesting module', () => {
+    const expected = path.join(directory, 'vendor/jquery-1.8.js');
+    const actual = lookup({
+      config,
+      partial: 'jquery',
+      filename: path.join(legacy, 'widget.js')
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('applies the most specific matching map prefix', () => {
+    const expected = path.join(directory, 'vendor/jquery.js');
+    const actual = lookup({
+      config,
+      partial: 'jquery',
+      filename: path.join(legacy, 'other.js')
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('does not apply module-specific map entries to other modules', () => {
+    const expected = path.join(directory, 'vendor/jquery.min.js');
+    const actual = lookup({
+      config,
+      partial: 'jquery',
+      filename: path.join(directory, 'a.js')
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('works out the id of modules relative to the baseUrl', () => {
+    expect(path.normalize(lookup({
+      config,
+      partial: 'b',
+      filename: path.join(directory, 'subdir/a.js')
+    }))).toBe(path.join(directory, 'c.js'));
+
+    expect(path.normalize(lookup({
+      config,
+      partial: 'b',
+      filename: path.join(directory, 'a.js')
+    }))).toBe(path.join(directory, 'b.js'));
+  });
+
+  it('prefers a module-specific map entry over the star map', () => {
+    expect(path.normalize(lookup({
+      config,
+      partial: 'underscore',
+      filename: path.join(directory, 'subdir/a.js')
+    }))).toBe(path.join(directory, 'subdir/c.js'));
+
+    expect(path.normalize(lookup({
+      config,
+      partial: 'underscore',
+      filename: path.join(legacy, 'widget.js')
+    }))).toBe(path.join(directory, 'b.js'));
+  });
+
+  it('falls back to the star map for files outside the baseUrl and paths', () => {
+    const expected = path.join(directory, 'b.js');
+    const actual = lookup({
+      config,
+      partial: 'underscore',
+      filename: path.join(__dirname, 'map.test.js')
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+});
@@ -0,0 +1,90 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, { explain, ModuleNotFoundError } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const root = path.join(__dirname, '/fixtures/installed');
+const config = path.join(root, 'app/js/config.js');
+const filename = path.join(root, 'app/js/main.js');
+const installed = file => path.join(root, 'node_modules', file);
+
+function resolve(partial, options = {}) {
+  const resolved = lookup({
+    config,
+    partial,
+    filename,
+    packageFallback: true,
+    ...options
+  });
+
+  return resolved && path.normalize(resolved);
+}
+
+describe('packageFallback', () => {
+  it('is off by default', () => {
+    expect(lookup({ config, partial: 'umd-lib', filename })).toBe('');
+  });
+
+  it('prefers the browser field, then main, then module', () => {
+    expect(resolve('umd-lib')).toBe(installed('umd-lib/dist/umd-lib.browser.js'));
+    expect(resolve('@scope/widget')).toBe(installed('@scope/widget/dist/widget.js'));
+  });
+
+  it('resolves sub-paths of a package', () => {
+    expect(resolve('lodash/map')).toBe(installed('lodash/map.js'));
+    expect(resolve('umd-lib/esm/index')).toBe(installed('umd-lib/esm/index.js'));
+  });
+
+  it('uses the closest node_modules directory', () => {
+    expect(resolve('lodash')).toBe(path.join(root, 'app/node_modules/lodash/app-lodash.js'));
+    expect(resolve('lodash', { filename: path.join(root, 'other.js'), config: { baseUrl: '.' }, configPath: root }))
+      .toBe(installed('lodash/lodash.js'));
+  });
+
+  it('defaults to the index file, and accepts a directory as the entry', () => {
+    expect(resolve('noentry')).toBe(installed('noentry/index.js'));
+    expect(resolve('libdir')).toBe(installed('libdir/lib/index.js'));
+  });
+
+  it('reads the main of bower.json in bower_components', () => {
+    expect(resolve('jquery')).toBe(path.join(root, 'bower_components/jquery/dist/jquery.js'));
+  });
+
+  it('applies map before looking for the package', () => {
+    expect(resolve('underscore')).toBe(path.join(root, 'app/node_modules/lodash/app-lodash.js'));
+  });
+
+  it('leaves the modules that the config resolves alone', () => {
+    expect(resolve('views/list')).toBe(path.join(root, 'app/js/views/list.js'));
+  });
+
+  it('works without a config', () => {
+    expect(resolve('umd-lib', { config: undefined })).toBe(installed('umd-lib/dist/umd-lib.browser.js'));
+  });
+
+  it('does not apply to relative dependencies', () => {
+    expect(resolve('./lodash')).toBe('');
+  });
+
+  it('reports the package in the detailed result', () => {
+    const { attempts } = explain({
+      config,
+      partial: 'umd-lib',
+      filename,
+      packageFallback: true
+    });
+
+    expect(attempts[0].installedPackage).toEqual({
+      name: 'umd-lib',
+      directory: installed('umd-lib'),
+      manifest: 'package.json',
+      field: 'browser'
+    });
+  });
+
+  it('throws a ModuleNotFoundError for missing packages in strict mode', () => {
+    expect(() => resolve('not-installed', { strict: true })).toThrow(ModuleNotFoundError);
+  });
+});
@@ -0,0 +1,86 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const packages = path.join(__dirname, '/fixtures/packages');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/packages.json');
+
+describe('packages', () => {
+  it('resolves a bare package name to main.js in the package location', () => {
+    const expected = path.join(packages, 'dojo/main.js');
+    const actual = lookup({
+      config,
+      partial: 'dojo',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('resolves a bare package name to the configured main', () => {
+    const expected = path.join(packages, 'dijit/lib/dijit.js');
+    const actual = lookup({
+      config,
+      partial: 'dijit',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('resolves a package declared as a string relative to the baseUrl', () => {
+    const expected = path.join(directory, 'widgets/main.js');
+    const actual = lookup({
+      config,
+      partial: 'widgets',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('resolves sub-modules relative to the package location', () => {
+    expect(path.normalize(lookup({
+      config,
+      partial: 'dojo/string',
+      filename
+    }))).toBe(path.join(packages, 'dojo/string.js'));
+
+    expect(path.normalize(lookup({
+      config,
+      partial: 'dijit/form/Button',
+      filename
+    }))).toBe(path.join(packages, 'dijit/form/Button.js'));
+  });
+
+  it('resolves relative dependencies of package modules from the requesting file', () => {
+    const expected = path.join(packages, 'dojo/string.js');
+    const actual = lookup({
+      config,
+      partial: './string',
+      filename: path.join(packages, 'dojo/main.js')
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('resolves packages from a pre-parsed config object', () => {
+    const expected = path.join(packages, 'dojo/main.js');
+    const actual = lookup({
+      config: {
+        baseUrl: 'js',
+        packages: [{ name: 'dojo', location: '../packages/dojo', main: 'main.js' }]
+      },
+      configPath: config,
+      partial: 'dojo',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+});
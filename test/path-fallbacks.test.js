@@ -0,0 +1,122 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, { lookupAsync } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const configPath = path.join(__dirname, '/fixtures/config.json');
+
+function fallbackConfig() {
+  return {
+    baseUrl: 'js',
+    paths: {
+      jquery: [
+        '//cdn.example.com/jquery',
+        'https://cdn.example.com/jquery',
+        'vendor/missing',
+        'vendor/jquery.min',
+        'vendor/jquery'
+      ],
+      lib: ['missing', 'subdir'],
+      gone: ['//cdn.example.com/gone', 'vendor/gone'],
+      foobar: 'b'
+    },
+    map: {
+      '*': {
+        $: 'jquery'
+      }
+    }
+  };
+}
+
+describe('paths fallbacks', () => {
+  it('returns the first local fallback that exists on disk', () => {
+    const expected = path.join(directory, 'vendor/jquery.min.js');
+    const actual = lookup({
+      config: fallbackConfig(),
+      configPath,
+      partial: 'jquery',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('reports the index of the matching fallback when detailed', () => {
+    const actual = lookup({
+      config: fallbackConfig(),
+      configPath,
+      partial: 'jquery',
+      filename,
+      detailed: true
+    });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'vendor/jquery.min.js'));
+    expect(actual.fallbackIndex).toBe(3);
+  });
+
+  it('resolves sub-modules through each fallback', () => {
+    const actual = lookup({
+      config: fallbackConfig(),
+      configPath,
+      partial: 'lib/c',
+      filename,
+      detailed: true
+    });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'subdir/c.js'));
+    expect(actual.fallbackIndex).toBe(1);
+  });
+
+  it('tries the fallbacks of map targets', () => {
+    const expected = path.join(directory, 'vendor/jquery.min.js');
+    const actual = lookup({
+      config: fallbackConfig(),
+      configPath,
+      partial: '$',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('returns an empty string when no fallback exists on disk', () => {
+    const actual = lookup({
+      config: fallbackConfig(),
+      configPath,
+      partial: 'gone',
+      filename
+    });
+
+    expect(actual).toBe('');
+  });
+
+  it('does not report a fallback index for plain paths entries', () => {
+    const actual = lookup({
+      config: fallbackConfig(),
+      configPath,
+      partial: 'foobar',
+      filename,
+      detailed: true
+    });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'b.js'));
+    expect(actual.fallbackIndex).toBeUndefined();
+  });
+
+  it('tries the fallbacks asynchronously', async() => {
+    const actual = await lookupAsync({
+      config: fallbackConfig(),
+      configPath,
+      partial: 'jquery',
+      filename,
+      detailed: true
+    });
+
+    expect(path.normalize(actual.path)).toBe(path.join(directory, 'vendor/jquery.min.js'));
+    expect(actual.fallbackIndex).toBe(3);
+  });
+});
@@ -0,0 +1,164 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const configPath = path.join(__dirname, '/fixtures/config.json');
+
+function pluginConfig() {
+  return {
+    baseUrl: 'js',
+    paths: {
+      templates: '../templates',
+      styles: '../styles',
+      'require-css': 'vendor/require-css/css'
+    },
+    map: {
+      '*': {
+        loadjson: 'json'
+      }
+    }
+  };
+}
+
+describe('loader plugins', () => {
+  it('css: looks up the resource with a .css extension', () => {
+    const expected = path.join(directory, '../styles/myStyles.css');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'css!styles/myStyles',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('json: looks up the resource with a .json extension', () => {
+    const expected = path.join(directory, 'data/settings.json');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'json!data/settings',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('text: looks up the resource as is', () => {
+    const expected = path.join(directory, 'data/settings.json');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'text!data/settings.json',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('i18n: points at the bundle of the given locale', () => {
+    const expected = path.join(directory, 'nls/fr/strings.js');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'i18n!nls/strings',
+      filename,
+      locale: 'fr-FR'
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('i18n: takes the locale from the config', () => {
+    const expected = path.join(directory, 'nls/fr/strings.js');
+    const actual = lookup({
+      config: {
+        ...pluginConfig(),
+        config: {
+          i18n: {
+            locale: 'fr'
+          }
+        }
+      },
+      configPath,
+      partial: 'i18n!nls/strings',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('i18n: falls back to the root bundle', () => {
+    expect(path.normalize(lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'i18n!nls/strings',
+      filename,
+      locale: 'de-de'
+    }))).toBe(path.join(directory, 'nls/strings.js'));
+
+    expect(path.normalize(lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'i18n!nls/strings',
+      filename
+    }))).toBe(path.join(directory, 'nls/strings.js'));
+  });
+
+  it('looks up unknown plugin resources as is', () => {
+    const expected = path.join(directory, '../templates/a.mustache');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'hgn!templates/a',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('uses the handlers given as options.plugins', () => {
+    const expected = path.join(directory, '../templates/inner/b.mustache');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'tpl!b',
+      filename,
+      plugins: {
+        tpl: resourceId => `templates/inner/${resourceId}.mustache`
+      }
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('applies paths to plugin names', () => {
+    const expected = path.join(directory, '../styles/myStyles.css');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'require-css!styles/myStyles',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+
+  it('applies map to plugin names', () => {
+    const expected = path.join(directory, 'data/settings.json');
+    const actual = lookup({
+      config: pluginConfig(),
+      configPath,
+      partial: 'loadjson!data/settings',
+      filename
+    });
+
+    expect(path.normalize(actual)).toBe(expected);
+  });
+});
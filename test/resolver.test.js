@@ -0,0 +1,76 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import { createResolver } from '../index.js';
+import { countingFs } from './helpers/counting-fs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/config.json');
+
+describe('createResolver', () => {
+  it('resolves aliased, relative and plugin paths like lookup', () => {
+    const resolver = createResolver({ config });
+
+    expect(path.normalize(resolver.resolve('foobar', filename))).toBe(path.join(directory, 'b.js'));
+    expect(path.normalize(resolver.resolve('./c', `${directory}/subdir/a.js`))).toBe(path.join(directory, 'subdir/c.js'));
+    expect(path.normalize(resolver.resolve('hgn!inner/templates/b', filename))).toBe(path.join(directory, '../templates/inner/b.mustache'));
+  });
+
+  it('reads the config file only once', () => {
+    const fileSystem = countingFs();
+    const resolver = createResolver({ config, fileSystem });
+
+    resolver.resolve('b', filename);
+    resolver.resolve('c', filename);
+    resolver.resolve('jquery', filename);
+
+    expect(fileSystem.calls.readFileSync).toHaveLength(1);
+  });
+
+  it('lists each directory only once', () => {
+    const fileSystem = countingFs();
+    const resolver = createResolver({ config, fileSystem });
+
+    resolver.resolve('b', filename);
+    resolver.resolve('b', filename);
+    resolver.resolve('c', filename);
+
+    expect(fileSystem.calls.readdirSync).toHaveLength(1);
+  });
+
+  it('invalidate: lists the directory of an invalidated file again', () => {
+    const fileSystem = countingFs();
+    const resolver = createResolver({ config, fileSystem });
+
+    resolver.resolve('b', filename);
+    resolver.invalidate(path.join(directory, 'b.js'));
+    resolver.resolve('b', filename);
+
+    expect(fileSystem.calls.readdirSync).toHaveLength(2);
+  });
+
+  it('invalidate: re-reads the config file when given its path', () => {
+    const fileSystem = countingFs();
+    const resolver = createResolver({ config, fileSystem });
+
+    resolver.invalidate(config);
+
+    expect(fileSystem.calls.readFileSync).toHaveLength(2);
+    expect(path.normalize(resolver.resolve('foobar', filename))).toBe(path.join(directory, 'b.js'));
+  });
+
+  it('clear: drops the directory listings and re-reads the config', () => {
+    const fileSystem = countingFs();
+    const resolver = createResolver({ config, fileSystem });
+
+    resolver.resolve('b', filename);
+    resolver.clear();
+    resolver.resolve('b', filename);
+
+    expect(fileSystem.calls.readFileSync).toHaveLength(2);
+    expect(fileSystem.calls.readdirSync).toHaveLength(2);
+  });
+});
@@ -0,0 +1,81 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, { reverseLookup } from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const fixtures = path.join(__dirname, '/fixtures');
+const directory = path.join(fixtures, '/js');
+const config = path.join(fixtures, '/config.json');
+
+describe('reverseLookup', () => {
+  it('returns the baseUrl relative id and the paths aliases of a file', () => {
+    expect(reverseLookup({
+      config,
+      filename: path.join(directory, 'b.js')
+    })).toEqual(['b', 'foobar']);
+
+    expect(reverseLookup({
+      config,
+      filename: path.join(directory, 'vendor/jquery.min.js')
+    })).toEqual(['jquery', 'vendor/jquery.min']);
+  });
+
+  it('keeps the extension of non-js files and includes map entries', () => {
+    expect(reverseLookup({
+      config,
+      filename: path.join(fixtures, 'templates/inner/b.mustache')
+    })).toEqual(['inner/templates/b.mustache', 'templates/inner/b.mustache']);
+  });
+
+  it('includes package names for package mains', () => {
+    const packages = path.join(fixtures, '/packages.json');
+
+    expect(reverseLookup({
+      config: packages,
+      filename: path.join(fixtures, 'packages/dojo/main.js')
+    })).toEqual(['dojo', 'dojo/main']);
+
+    expect(reverseLookup({
+      config: packages,
+      filename: path.join(fixtures, 'packages/dojo/string.js')
+    })).toEqual(['dojo/string']);
+  });
+
+  it('includes module-specific map entries', () => {
+    expect(reverseLookup({
+      config: path.join(fixtures, '/map.json'),
+      filename: path.join(directory, 'vendor/jquery.js')
+    })).toEqual(['jquery', 'vendor/jquery']);
+  });
+
+  it('works with a pre-parsed config and with a directory', () => {
+    expect(reverseLookup({
+      config: { baseUrl: 'js', paths: { abra: 'a' } },
+      configPath: config,
+      filename: path.join(directory, 'a.js')
+    })).toEqual(['a', 'abra']);
+
+    expect(reverseLookup({
+      directory,
+      filename: path.join(directory, 'subdir/c.js')
+    })).toEqual(['subdir/c']);
+  });
+
+  it('returns no ids for files outside the baseUrl and paths', () => {
+    expect(reverseLookup({
+      config,
+      filename: path.join(fixtures, 'forNoBaseUrl.js')
+    })).toEqual([]);
+  });
+
+  it('agrees with lookup', () => {
+    const filename = path.join(directory, 'vendor/jquery.min.js');
+    const ids = reverseLookup({ config, filename });
+
+    for (const partial of ids) {
+      expect(lookup({ config, partial, filename: path.join(directory, 'a.js') })).toBe(filename);
+    }
+  });
+});
@@ -0,0 +1,114 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import {
+  buildGraph,
+  explain,
+  graphToDot,
+  resolveFileDependencies
+} from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/shim/js');
+const filename = path.join(directory, '/app.js');
+const config = path.join(__dirname, '/fixtures/shim/config.js');
+const file = name => path.join(directory, name);
+
+describe('shim', () => {
+  it('adds the shim entry with its deps resolved to the detailed result', () => {
+    const actual = explain({
+      config,
+      partial: 'backbone',
+      filename,
+      shim: true
+    });
+
+    expect(path.normalize(actual.path)).toBe(file('vendor/backbone.js'));
+    expect(actual.shim.id).toBe('backbone');
+    expect(actual.shim.exports).toBe('Backbone');
+    expect(actual.shim.deps.map(({ id, path: depPath }) => [id, path.normalize(depPath)])).toEqual([
+      ['underscore', file('vendor/underscore.js')],
+      ['jquery', file('vendor/jquery.js')]
+    ]);
+  });
+
+  it('reads shim entries given as an array of deps', () => {
+    const { shim } = explain({
+      config,
+      partial: 'plugin',
+      filename,
+      shim: true
+    });
+
+    expect(shim.exports).toBeUndefined();
+    expect(shim.deps[1]).toEqual({ id: 'missing', path: '' });
+    expect(shim.deps[2]).toEqual({ id: 'cdnlib', path: '', url: '//cdn.example.com/cdnlib' });
+  });
+
+  it('has no shim for modules without a shim entry', () => {
+    expect(explain({
+      config,
+      partial: 'app',
+      filename,
+      shim: true
+    }).shim).toBeUndefined();
+  });
+
+  it('is left out without the shim option', () => {
+    expect(explain({ config, partial: 'backbone', filename }).shim).toBeUndefined();
+  });
+
+  it('adds the shim entries to the dependencies of a file', () => {
+    const [backbone] = resolveFileDependencies({ config, filename, shim: true });
+
+    expect(backbone.partial).toBe('backbone');
+    expect(backbone.shim.deps).toHaveLength(2);
+  });
+
+  describe('in the dependency graph', () => {
+    const graph = buildGraph({ config, entries: [filename], shim: true });
+
+    it('adds the deps of shimmed modules as edges', () => {
+      expect(graph.edges).toContainEqual({
+        from: file('vendor/backbone.js'),
+        to: file('vendor/underscore.js'),
+        partial: 'underscore',
+        shim: true
+      });
+      expect(graph.nodes).toContain(file('vendor/jquery.js'));
+    });
+
+    it('reports the missing and remote deps of shimmed modules', () => {
+      expect(graph.unresolved).toEqual([expect.objectContaining({
+        from: file('vendor/jquery.plugin.js'),
+        partial: 'missing',
+        shim: true
+      })]);
+      expect(graph.externals).toEqual([{
+        from: file('vendor/jquery.plugin.js'),
+        partial: 'cdnlib',
+        url: '//cdn.example.com/cdnlib',
+        shim: true
+      }]);
+    });
+
+    it('draws the deps of shimmed modules dashed', () => {
+      expect(graphToDot(graph)).toContain(`"${file('vendor/backbone.js')}" -> "${file('vendor/jquery.js')}" [label="jquery", style=dashed];`);
+    });
+
+    it('starts from module ids', () => {
+      const fromId = buildGraph({ config, entries: ['backbone'], shim: true });
+
+      expect(fromId.nodes).toEqual([
+        file('vendor/backbone.js'),
+        file('vendor/jquery.js'),
+        file('vendor/underscore.js')
+      ]);
+    });
+
+    it('only has the explicit dependencies without the shim option', () => {
+      expect(buildGraph({ config, entries: [filename] }).edges).toHaveLength(2);
+    });
+  });
+});
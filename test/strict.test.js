@@ -0,0 +1,149 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'vitest';
+import lookup, {
+  lookupAsync,
+  AmbiguousMatchError,
+  ConfigPathMissingError,
+  ConfigUnreadableError,
+  FileSystemError,
+  LookupError,
+  ModuleNotFoundError
+} from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const directory = path.join(__dirname, '/fixtures/js');
+const filename = path.join(directory, '/a.js');
+const config = path.join(__dirname, '/fixtures/config.json');
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch(error) {
+    return error;
+  }
+}
+
+describe('strict mode', () => {
+  it('throws a ModuleNotFoundError with the partial and the candidates tried', () => {
+    const error = catchError(() => lookup({
+      config,
+      partial: 'nope',
+      filename,
+      strict: true
+    }));
+
+    expect(error).toBeInstanceOf(ModuleNotFoundError);
+    expect(error).toBeInstanceOf(LookupError);
+    expect(error.code).toBe('MODULE_NOT_FOUND');
+    expect(error.partial).toBe('nope');
+    expect(error.candidates).toEqual([
+      { path: path.join(directory, 'nope.js'), outcome: 'missing' }
+    ]);
+  });
+
+  it('still returns an empty string when not strict', () => {
+    expect(lookup({
+      config,
+      partial: 'nope',
+      filename
+    })).toBe('');
+  });
+
+  it('throws a ConfigUnreadableError when the config file cannot be read', () => {
+    const error = catchError(() => lookup({
+      config: path.join(__dirname, '/fixtures/missing-config.js'),
+      partial: 'b',
+      filename,
+      strict: true
+    }));
+
+    expect(error).toBeInstanceOf(ConfigUnreadableError);
+    expect(error.code).toBe('CONFIG_UNREADABLE');
+    expect(error.cause.code).toBe('ENOENT');
+  });
+
+  it('throws a ConfigPathMissingError when the configPath does not exist', () => {
+    const error = catchError(() => lookup({
+      config: { baseUrl: 'js' },
+      configPath: path.join(__dirname, '/fixtures/missing'),
+      partial: 'b',
+      filename,
+      strict: true
+    }));
+
+    expect(error).toBeInstanceOf(ConfigPathMissingError);
+    expect(error.code).toBe('CONFIG_PATH_MISSING');
+  });
+
+  it('throws an AmbiguousMatchError when several files match', () => {
+    const extensions = path.join(__dirname, '/fixtures/extensions');
+    const error = catchError(() => lookup({
+      partial: 'template',
+      filename: path.join(extensions, 'a.js'),
+      directory: extensions,
+      strict: true
+    }));
+
+    expect(error).toBeInstanceOf(AmbiguousMatchError);
+    expect(error.code).toBe('AMBIGUOUS_MATCH');
+    expect(error.partial).toBe('template');
+    expect(error.candidates.filter(candidate => candidate.outcome === 'ambiguous').map(candidate => candidate.path)).toEqual([
+      path.join(extensions, 'template.html'),
+      path.join(extensions, 'template.mustache')
+    ]);
+  });
+
+  it('lets the ambiguous option override strict mode', () => {
+    const extensions = path.join(__dirname, '/fixtures/extensions');
+
+    expect(lookup({
+      partial: 'template',
+      filename: path.join(extensions, 'a.js'),
+      directory: extensions,
+      strict: true,
+      ambiguous: 'first'
+    })).toBe(path.join(extensions, 'template.html'));
+  });
+
+  it('throws a FileSystemError when a directory cannot be read', () => {
+    const customFs = {
+      statSync() {
+        return {
+          isFile: () => true,
+          isDirectory: () => true
+        };
+      },
+      readdirSync() {
+        const error = new Error('Permission denied');
+        error.code = 'EACCES';
+        throw error;
+      }
+    };
+
+    const options = {
+      partial: 'phantom',
+      filename,
+      directory,
+      fileSystem: customFs
+    };
+
+    expect(lookup(options)).toBe('');
+
+    const error = catchError(() => lookup({ ...options, strict: true }));
+
+    expect(error).toBeInstanceOf(FileSystemError);
+    expect(error.code).toBe('FILE_SYSTEM_ERROR');
+    expect(error.cause.code).toBe('EACCES');
+  });
+
+  it('rejects lookupAsync with a ModuleNotFoundError', async() => {
+    await expect(lookupAsync({
+      config,
+      partial: 'nope',
+      filename,
+      strict: true
+    })).rejects.toBeInstanceOf(ModuleNotFoundError);
+  });
+});
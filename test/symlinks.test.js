@@ -0,0 +1,159 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll
+} from 'vitest';
+import lookup, {
+  buildGraph,
+  createResolver,
+  lookupAsync
+} from '../index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Symlinks cannot be committed portably, so the fixture is copied to a temporary directory and linked there
+const root = fs.mkdtempSync(path.join(fs.realpathSync(os.tmpdir()), 'module-lookup-amd-symlinks-'));
+const directory = path.join(root, 'app/js');
+const filename = path.join(directory, 'main.js');
+const linkedWidget = path.join(directory, 'shared/widget.js');
+const realWidget = path.join(root, 'packages/shared/widget.js');
+
+describe('symlinks', () => {
+  beforeAll(() => {
+    fs.cpSync(path.join(__dirname, '/fixtures/symlinks'), root, { recursive: true });
+
+    // Junctions need no privileges on Windows, and the type is ignored elsewhere
+    for (const link of ['shared', 'linked']) {
+      fs.symlinkSync(path.join(root, 'packages/shared'), path.join(directory, link), 'junction');
+    }
+
+    // A link back to a parent directory
+    fs.symlinkSync(path.join(root, 'app'), path.join(directory, 'up'), 'junction');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('realpath', () => {
+    it('returns the path through the link by default', () => {
+      expect(path.normalize(lookup({ directory, partial: 'shared/widget', filename }))).toBe(linkedWidget);
+    });
+
+    it('returns the real path of the file found', () => {
+      expect(lookup({
+        directory,
+        partial: 'shared/widget',
+        filename,
+        realpath: true
+      })).toBe(realWidget);
+    });
+
+    it('gives the same path for a file reached through several links', () => {
+      const resolver = createResolver({ directory, realpath: true });
+
+      expect(resolver.resolve('linked/widget', filename)).toBe(resolver.resolve('shared/widget', filename));
+    });
+
+    it('works asynchronously', async() => {
+      expect(await lookupAsync({
+        directory,
+        partial: 'shared/widget',
+        filename,
+        realpath: true
+      })).toBe(realWidget);
+    });
+
+    it('returns an empty string for missing modules', () => {
+      expect(lookup({
+        directory,
+        partial: 'shared/missing',
+        filename,
+        realpath: true
+      })).toBe('');
+    });
+
+    it('makes a file reached through several links a single node of the graph', () => {
+      const graph = buildGraph({ directory, entries: [filename], realpath: true });
+
+      expect(graph.nodes).toEqual([
+        path.join(root, 'app/js/common.js'),
+        filename,
+        path.join(root, 'packages/shared/util.js'),
+        realWidget
+      ]);
+    });
+  });
+
+  describe('directory scan of the graph', () => {
+    it('lists every directory once, whatever links lead to it', () => {
+      const graph = buildGraph({ directory, realpath: true });
+
+      expect(graph.nodes).toEqual([
+        path.join(root, 'app/js/common.js'),
+        filename,
+        path.join(root, 'packages/shared/util.js'),
+        realWidget
+      ]);
+    });
+
+    it('lists a directory reached through several links through the first, and stops at links to a parent', () => {
+      // shared/util.js is a dependency of shared/widget.js, which main.js depends on
+      expect(buildGraph({ directory }).nodes).toEqual([
+        path.join(directory, 'common.js'),
+        path.join(directory, 'linked/util.js'),
+        path.join(directory, 'linked/widget.js'),
+        filename,
+        path.join(directory, 'shared/util.js'),
+        linkedWidget
+      ]);
+    });
+  });
+
+  describe('preserveSymlinks', () => {
+    it('resolves relative dependencies from the location of the link by default', () => {
+      expect(path.normalize(lookup({ directory, partial: '../common', filename: linkedWidget })))
+        .toBe(path.join(directory, 'common.js'));
+    });
+
+    it('resolves relative dependencies from the real location when false', () => {
+      expect(path.normalize(lookup({
+        directory,
+        partial: '../common',
+        filename: linkedWidget,
+        preserveSymlinks: false
+      }))).toBe(path.join(root, 'packages/common.js'));
+    });
+
+    it('applies to the dependency graph', () => {
+      const graph = buildGraph({
+        directory,
+        entries: [filename],
+        realpath: true,
+        preserveSymlinks: false
+      });
+
+      expect(graph.edges).toContainEqual({
+        from: realWidget,
+        to: path.join(root, 'packages/common.js'),
+        partial: '../common',
+        plugin: undefined
+      });
+    });
+
+    it('only changes where relative dependencies are resolved from', () => {
+      expect(path.normalize(lookup({
+        directory,
+        partial: 'common',
+        filename: linkedWidget,
+        preserveSymlinks: false
+      }))).toBe(path.join(directory, 'common.js'));
+    });
+  });
+});